@@ -4,8 +4,28 @@ import CharacterManager from './components/character-manager.js';
 import AvatarSelector from './components/avatar-selector.js';
 import VoiceSelector from './components/voice-selector.js';
 import VideoGenerator from './components/video-generator.js';
+import WaveformVisualizer from './components/waveform-visualizer.js';
+import MicrophoneSettings from './components/microphone-settings.js';
+import TakeManager from './components/take-manager.js';
+import TrimEditor from './components/trim-editor.js';
+import TranscriptReview from './components/transcript-review.js';
+import TranscriptionSettings from './components/transcription-settings.js';
+import ScriptEditor from './components/script-editor.js';
+import Teleprompter from './components/teleprompter.js';
+import JobsPanel from './components/jobs-panel.js';
+import OutputFormat from './components/output-format.js';
+import BackgroundPicker from './components/background-picker.js';
+import Storyboard from './components/storyboard.js';
+import SpeakerAssignment from './components/speaker-assignment.js';
+import VoiceTuning from './components/voice-tuning.js';
 import toast from './components/toast.js';
 import videoHistoryManager from './utils/video-history.js';
+import captions from './utils/captions.js';
+import audioConverter from './utils/audio-converter.js';
+import recordingStorage from './utils/recording-storage.js';
+import preferences from './utils/preferences.js';
+import { describeError } from './services/api-errors.js';
+import CONFIG from './config.js';
 
 class App {
     constructor() {
@@ -13,10 +33,25 @@ class App {
         this.characterManager = new CharacterManager();
         this.avatarSelector = new AvatarSelector();
         this.voiceSelector = new VoiceSelector();
+        this.voiceTuning = new VoiceTuning();
+        this.waveformVisualizer = new WaveformVisualizer();
+        this.microphoneSettings = new MicrophoneSettings(this.recorder);
+        this.takeManager = new TakeManager();
+        this.trimEditor = new TrimEditor();
+        this.transcriptionSettings = new TranscriptionSettings();
+        this.transcriptReview = new TranscriptReview(this.transcriptionSettings);
+        this.scriptEditor = new ScriptEditor();
+        this.teleprompter = new Teleprompter();
+        this.outputFormat = new OutputFormat();
+        this.backgroundPicker = new BackgroundPicker();
+        this.storyboard = new Storyboard();
+        this.speakerAssignment = new SpeakerAssignment(this.avatarSelector, this.characterManager, this.voiceSelector);
         this.videoGenerator = null;
 
         this.currentStep = 1;
-        this.audioUrl = null;
+        this.captionsUrl = null;
+        // Step 1 input: 'record' (recording or upload) or 'script' (typed text)
+        this.inputMode = preferences.get('inputMode', 'record');
         this.isInitialized = false;
     }
 
@@ -36,31 +71,60 @@ class App {
                 toast.success('Avatars loaded successfully!');
             } catch (error) {
                 toast.hide(loadingToast);
-                toast.warning('Could not load preset avatars. You can still upload custom characters!');
+                toast.warning(`Could not load preset avatars. ${describeError(error)} You can still upload custom characters!`, 6000);
             }
 
             try {
                 await this.voiceSelector.init();
             } catch (error) {
-                toast.warning('Could not load preset voices. You can still use your recorded voice!');
+                toast.warning(`Could not load preset voices. ${describeError(error)} You can still use your recorded voice!`, 6000);
             }
 
             this.videoGenerator = new VideoGenerator(
-                this.recorder,
+                this.takeManager,
                 this.avatarSelector,
                 this.voiceSelector,
-                this.characterManager
+                this.characterManager,
+                this.transcriptReview,
+                this.outputFormat,
+                this.backgroundPicker,
+                this.voiceTuning
             );
             this.videoGenerator.init();
+            this.jobsPanel = new JobsPanel(this.videoGenerator);
 
             this.setupRecorderCallbacks();
+            this.setupVideoCallbacks();
+            this.setupTakeCallbacks();
             this.attachEventListeners();
+            await this.microphoneSettings.init();
+            await this.takeManager.init();
+            this.trimEditor.init();
+            this.transcriptionSettings.init();
+            this.transcriptReview.init();
+            this.voiceSelector.setLanguage(this.transcriptionSettings.getLanguageName());
+            this.scriptEditor.init();
+            this.teleprompter.init();
+            this.jobsPanel.init();
+            this.outputFormat.init();
+            this.outputFormat.onFormatChanged = () => this.updateSummary();
+            await this.backgroundPicker.init();
+            this.backgroundPicker.onBackgroundChanged = () => this.updateSummary();
+            this.storyboard.init();
+            await this.voiceTuning.init();
+            this.voiceTuning.onSettingsChanged = () => this.updateSummary();
+            this.voiceSelector.onVoiceChanged = (voice) => this.voiceTuning.setVoice(voice);
+            this.speakerAssignment.init();
+            this.setInputMode(this.inputMode);
             this.showStep(1);
             this.hideLoadingOverlay();
 
             this.isInitialized = true;
             console.log('Application initialized successfully!');
             toast.success('Application ready! Start by recording your voice.');
+
+            this.resumeProcessingVideos();
+            await this.recoverUnfinishedRecordings();
         } catch (error) {
             console.error('Initialization error:', error);
             this.hideLoadingOverlay();
@@ -91,27 +155,129 @@ class App {
     setupRecorderCallbacks() {
         this.recorder.onRecordingStart = () => {
             this.updateRecordingUI(true);
+            this.waveformVisualizer.start(this.recorder.analyser);
+            this.teleprompter.start(this.recorder.analyser);
             toast.info('Recording started...');
         };
 
         this.recorder.onRecordingStop = () => {
+            this.waveformVisualizer.stop();
+            this.teleprompter.stop();
             this.updateRecordingUI(false);
             toast.success('Recording stopped!');
         };
 
+        this.recorder.onRecordingPause = () => {
+            this.waveformVisualizer.setPaused(true);
+            this.teleprompter.pause();
+            this.updateRecordingUI(true, true);
+            toast.info('Recording paused');
+        };
+
+        this.recorder.onRecordingResume = () => {
+            this.waveformVisualizer.setPaused(false);
+            this.teleprompter.resume();
+            this.updateRecordingUI(true);
+            toast.info('Recording resumed...');
+        };
+
         this.recorder.onRecordingComplete = (blob) => {
-            this.handleRecordingComplete(blob);
+            this.handleRecordingComplete(blob, undefined, { script: this.teleprompter.getScriptForTake() });
         };
 
         this.recorder.onTimerUpdate = (elapsed) => {
             this.updateTimer(elapsed);
         };
+
+        this.recorder.onSilenceAutoStop = () => {
+            toast.info('Stopped automatically after a pause in speech');
+        };
+
+        this.recorder.onDevicesChanged = (devices) => {
+            this.microphoneSettings.render(devices);
+        };
+
+        this.recorder.onInputSwitched = (label) => {
+            toast.warning(`Microphone changed${label ? ` to "${label}"` : ''}`);
+        };
+    }
+
+    setupVideoCallbacks() {
+        this.videoGenerator.onJobUpdated = () => {
+            this.jobsPanel.render();
+        };
+
+        this.videoGenerator.onJobFinished = (job) => {
+            this.handleJobFinished(job);
+        };
+
+        this.jobsPanel.onWatch = (job) => {
+            this.videoGenerator.displayVideo(job.result.videoUrl, job.result.videoId);
+        };
+
+        this.speakerAssignment.onGenerate = (turns) => {
+            this.generateDialogue(turns);
+        };
+
+        this.speakerAssignment.onAddToStoryboard = (turns) => {
+            this.addDialogueToStoryboard(turns);
+        };
+
+        this.videoGenerator.onResumedVideoComplete = (video) => {
+            toast.success(`Your video${video.avatarName ? ` with ${video.avatarName}` : ''} is ready! Find it in your history.`, 6000);
+            this.refreshHistory();
+        };
+
+        this.videoGenerator.onResumedVideoFailed = (video) => {
+            toast.error(`Your video${video.avatarName ? ` with ${video.avatarName}` : ''} failed to generate.`, 6000);
+            this.refreshHistory();
+        };
+    }
+
+    setupTakeCallbacks() {
+        this.takeManager.onActiveTakeChanged = (take) => {
+            this.handleActiveTakeChanged(take);
+        };
+
+        this.takeManager.onEditTake = (take) => {
+            this.trimEditor.open(take);
+        };
+
+        this.trimEditor.onApply = (take, edits) => {
+            this.applyTrim(take, edits);
+        };
+
+        this.transcriptionSettings.onOptionsChanged = () => {
+            // A chosen language applies straight away; a detected one once transcription finishes
+            const language = this.transcriptionSettings.getLanguageName();
+            if (language) this.voiceSelector.setLanguage(language);
+
+            if (this.currentStep === 4) this.loadTranscript();
+        };
+
+        this.transcriptReview.onLanguageDetected = (languageCode) => {
+            this.voiceSelector.setLanguage(this.transcriptionSettings.getLanguageNameForCode(languageCode));
+        };
+
+        this.scriptEditor.onScriptChanged = () => {
+            this.updateStep1Actions();
+        };
     }
 
     attachEventListeners() {
         document.getElementById('record-btn')?.addEventListener('click', () => this.startRecording());
         document.getElementById('stop-btn')?.addEventListener('click', () => this.stopRecording());
+        document.getElementById('pause-btn')?.addEventListener('click', () => this.togglePause());
         document.getElementById('play-btn')?.addEventListener('click', () => this.playRecording());
+        document.getElementById('edit-btn')?.addEventListener('click', () => this.editRecording());
+
+        const autoStopToggle = document.getElementById('auto-stop-toggle');
+        if (autoStopToggle) {
+            autoStopToggle.checked = this.recorder.autoStopOnSilence;
+            autoStopToggle.addEventListener('change', (e) => {
+                this.recorder.autoStopOnSilence = e.target.checked;
+            });
+        }
 
         document.getElementById('next-to-avatar')?.addEventListener('click', () => this.goToStep(2));
         document.getElementById('back-to-record')?.addEventListener('click', () => this.goToStep(1));
@@ -120,29 +286,14 @@ class App {
         document.getElementById('next-to-generate')?.addEventListener('click', () => this.goToStep(4));
         document.getElementById('back-to-voice')?.addEventListener('click', () => this.goToStep(3));
 
-        const uploadInput = document.getElementById('character-upload-input');
-        const uploadArea = document.getElementById('upload-area');
+        this.bindUploadArea('upload-area', 'character-upload-input', (e) => this.handleCharacterUpload(e));
+        this.bindUploadArea('background-upload-area', 'background-upload-input', (e) => this.handleBackgroundUpload(e));
+        this.bindUploadArea('audio-upload-area', 'audio-upload-input', (e) => this.handleAudioUpload(e));
 
-        uploadInput?.addEventListener('change', (e) => this.handleCharacterUpload(e));
-
-        if (uploadArea) {
-            uploadArea.addEventListener('click', () => uploadInput?.click());
-            uploadArea.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                uploadArea.classList.add('dragover');
-            });
-            uploadArea.addEventListener('dragleave', () => {
-                uploadArea.classList.remove('dragover');
-            });
-            uploadArea.addEventListener('drop', (e) => {
-                e.preventDefault();
-                uploadArea.classList.remove('dragover');
-                if (e.dataTransfer.files.length > 0) {
-                    this.handleCharacterUpload({ target: { files: e.dataTransfer.files } });
-                }
-            });
-        }
 
+        document.querySelectorAll('.input-mode-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.setInputMode(tab.dataset.mode));
+        });
 
         document.querySelectorAll('.avatar-tab').forEach(tab => {
             tab.addEventListener('click', () => {
@@ -154,6 +305,9 @@ class App {
         this.voiceSelector.attachEventListeners();
 
         document.getElementById('generate-video-btn')?.addEventListener('click', () => this.generateVideo());
+        document.getElementById('add-scene-btn')?.addEventListener('click', () => this.addScene());
+        document.getElementById('generate-storyboard-btn')?.addEventListener('click', () => this.generateStoryboard());
+        document.getElementById('assign-speakers-btn')?.addEventListener('click', () => this.openSpeakerAssignment());
         document.getElementById('close-video-modal')?.addEventListener('click', () => this.closeVideoModal());
         document.getElementById('create-another-btn')?.addEventListener('click', () => this.createAnother());
         document.getElementById('download-video-btn')?.addEventListener('click', () => this.downloadVideo());
@@ -162,6 +316,38 @@ class App {
         document.getElementById('close-history-modal')?.addEventListener('click', () => this.closeHistory());
     }
 
+    /**
+     * Wire a click/drag-and-drop upload area to its hidden file input
+     */
+    bindUploadArea(areaId, inputId, onFiles) {
+        const uploadInput = document.getElementById(inputId);
+        const uploadArea = document.getElementById(areaId);
+
+        uploadInput?.addEventListener('change', (e) => {
+            onFiles(e);
+            // Allow the same file to be picked again
+            e.target.value = '';
+        });
+
+        if (uploadArea) {
+            uploadArea.addEventListener('click', () => uploadInput?.click());
+            uploadArea.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                uploadArea.classList.add('dragover');
+            });
+            uploadArea.addEventListener('dragleave', () => {
+                uploadArea.classList.remove('dragover');
+            });
+            uploadArea.addEventListener('drop', (e) => {
+                e.preventDefault();
+                uploadArea.classList.remove('dragover');
+                if (e.dataTransfer.files.length > 0) {
+                    onFiles({ target: { files: e.dataTransfer.files } });
+                }
+            });
+        }
+    }
+
     showStep(step) {
         this.currentStep = step;
 
@@ -188,6 +374,22 @@ class App {
         if (step === 4) {
             this.updateSummary();
         }
+
+        // Transcribe as soon as the take is chosen so the detected language can
+        // narrow down voices in step 3 and the text is ready to review in step 4
+        if (step > 1 && this.inputMode === 'record') {
+            this.loadTranscript();
+        }
+    }
+
+    loadTranscript() {
+        this.transcriptReview.setReferenceScript(this.takeManager.getActiveTake()?.script);
+        this.transcriptReview.load(this.takeManager.getAudioBlob()).catch(error => {
+            console.error('Error transcribing audio:', error);
+            if (this.currentStep === 4) {
+                toast.error('Could not transcribe your recording. You can retry from the transcript panel.');
+            }
+        });
     }
 
     goToStep(step) {
@@ -204,8 +406,15 @@ class App {
     validateStep(step) {
         switch (step) {
             case 1:
-                if (!this.recorder.getAudioBlob()) {
-                    toast.error('Please record your voice before proceeding');
+                if (this.inputMode === 'script') {
+                    const validation = this.scriptEditor.validate();
+                    if (!validation.valid) {
+                        toast.error(validation.message);
+                    }
+                    return validation.valid;
+                }
+                if (!this.takeManager.getAudioBlob()) {
+                    toast.error('Please record or upload your voice before proceeding');
                     return false;
                 }
                 return true;
@@ -246,25 +455,73 @@ class App {
         this.recorder.stopRecording();
     }
 
+    togglePause() {
+        if (this.recorder.isPaused) {
+            this.recorder.resumeRecording();
+        } else {
+            this.recorder.pauseRecording();
+        }
+    }
+
     playRecording() {
-        if (this.audioUrl) {
-            const audio = new Audio(this.audioUrl);
-            audio.play();
-            toast.info('Playing recording...');
+        const take = this.takeManager.getActiveTake();
+        if (take) {
+            this.takeManager.play(take.id);
+            toast.info(`Playing "${take.name}"...`);
+        }
+    }
+
+    editRecording() {
+        const take = this.takeManager.getActiveTake();
+        if (take) {
+            this.takeManager.stopPlayback();
+            this.trimEditor.open(take);
         }
     }
 
-    updateRecordingUI(isRecording) {
+    async applyTrim(take, edits) {
+        // Nothing to do when an untouched take is "applied" unchanged
+        if (!edits && !take.edits) return;
+
+        const loadingToast = toast.loading(`Applying edits to "${take.name}"...`);
+        try {
+            await this.takeManager.editTake(take.id, edits);
+            toast.hide(loadingToast);
+            toast.success(edits ? `"${take.name}" trimmed` : `"${take.name}" restored to the original recording`);
+        } catch (error) {
+            console.error('Error applying edits:', error);
+            toast.hide(loadingToast);
+            toast.error('Could not apply the edits to this take');
+        }
+    }
+
+    updateRecordingUI(isRecording, isPaused = false) {
         const recordBtn = document.getElementById('record-btn');
         const stopBtn = document.getElementById('stop-btn');
+        const pauseBtn = document.getElementById('pause-btn');
         const waveform = document.getElementById('waveform');
+        const levelMeter = document.getElementById('level-meter');
         const recordingIndicator = document.getElementById('recording-indicator');
 
         if (recordBtn) recordBtn.disabled = isRecording;
         if (stopBtn) stopBtn.disabled = !isRecording;
 
+        if (pauseBtn) {
+            pauseBtn.disabled = !isRecording;
+            pauseBtn.querySelector('.pause-label').textContent = isPaused ? 'Resume' : 'Pause';
+            pauseBtn.querySelector('.pause-icon').classList.toggle('hidden', isPaused);
+            pauseBtn.querySelector('.resume-icon').classList.toggle('hidden', !isPaused);
+        }
+
         waveform?.classList.toggle('hidden', !isRecording);
+        levelMeter?.classList.toggle('hidden', !isRecording);
         recordingIndicator?.classList.toggle('hidden', !isRecording);
+        recordingIndicator?.classList.toggle('paused', isPaused);
+
+        const indicatorLabel = recordingIndicator?.querySelector('span');
+        if (indicatorLabel) {
+            indicatorLabel.textContent = isPaused ? 'Paused' : 'Recording...';
+        }
     }
 
     updateTimer(elapsed) {
@@ -277,25 +534,159 @@ class App {
         }
     }
 
-    handleRecordingComplete(blob) {
-        if (this.audioUrl) {
-            URL.revokeObjectURL(this.audioUrl);
+    async handleRecordingComplete(blob, message = 'Recording complete! You can now proceed to the next step.', takeOptions = {}) {
+        const take = await this.takeManager.addTake(blob, takeOptions);
+
+        const recordingStatus = document.getElementById('recording-status');
+        if (recordingStatus) {
+            recordingStatus.textContent = `✓ "${take.name}" saved! Record another take or click Next to continue.`;
+            recordingStatus.style.color = 'var(--color-white)';
         }
-        this.audioUrl = URL.createObjectURL(blob);
 
-        const playBtn = document.getElementById('play-btn');
+        toast.success(message);
+        this.warnAboutLevels(take);
+    }
+
+    /**
+     * Switch step 1 between recording a voice and typing a script
+     * @param {string} mode - 'record' or 'script'
+     */
+    setInputMode(mode) {
+        if (mode !== this.inputMode && this.recorder.isRecording) {
+            toast.warning('Stop the current recording before switching to a script');
+            return;
+        }
+
+        this.inputMode = mode;
+        preferences.set('inputMode', mode);
+
+        document.querySelectorAll('.input-mode-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+        document.querySelectorAll('.input-mode-content').forEach(content => {
+            content.classList.toggle('active', content.dataset.mode === mode);
+        });
+        document.getElementById('transcript-card')?.classList.toggle('hidden', mode === 'script');
+
+        // A typed script has no recording to use as the voice
+        this.voiceSelector.setCustomVoiceAvailable(mode === 'record');
+        this.updateStep1Actions();
+    }
+
+    updateStep1Actions() {
         const nextBtn = document.getElementById('next-to-avatar');
+        if (!nextBtn) return;
 
-        if (playBtn) playBtn.disabled = false;
-        if (nextBtn) nextBtn.disabled = false;
+        nextBtn.disabled = this.inputMode === 'script'
+            ? !this.scriptEditor.getScript()
+            : !this.takeManager.getActiveTake();
+    }
 
-        const recordingStatus = document.getElementById('recording-status');
-        if (recordingStatus) {
-            recordingStatus.textContent = '✓ Recording complete! Click Next to continue.';
-            recordingStatus.style.color = 'var(--color-white)';
+    /**
+     * Enable the step 1 controls and draw the waveform of the take that will be used
+     */
+    handleActiveTakeChanged(take) {
+        const playBtn = document.getElementById('play-btn');
+        const editBtn = document.getElementById('edit-btn');
+
+        if (playBtn) playBtn.disabled = !take;
+        if (editBtn) editBtn.disabled = !take;
+        this.updateStep1Actions();
+
+        const waveform = document.getElementById('waveform');
+        if (this.recorder.isRecording) return;
+
+        if (take?.peaks.length) {
+            waveform?.classList.remove('hidden');
+            this.waveformVisualizer.renderStatic(take.peaks);
+        } else {
+            waveform?.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Warn about clipping or very quiet audio before any API credits are spent on a take
+     */
+    warnAboutLevels(take) {
+        if (!take.levels) return;
+
+        if (take.levels.clippedRatio > 0.001) {
+            toast.warning('Parts of this take are clipped (shown in red). Consider re-recording further from the mic.', 6000);
+        } else if (take.levels.loudness < CONFIG.RECORDING.LEVELS.MIN_TAKE_LUFS) {
+            toast.warning('This take is very quiet. Consider re-recording closer to the mic.', 6000);
+        }
+    }
+
+    /**
+     * Resume videos that were still generating when the page was last closed
+     */
+    async resumeProcessingVideos() {
+        try {
+            const count = await this.videoGenerator.resumeProcessingVideos();
+            if (count > 0) {
+                toast.info(`Checking on ${count} video${count === 1 ? '' : 's'} still generating...`);
+            }
+        } catch (error) {
+            console.error('Error resuming videos:', error);
+        }
+    }
+
+    /**
+     * Offer to restore recordings that were cut off by a crash or reload
+     */
+    async recoverUnfinishedRecordings() {
+        let sessions;
+        try {
+            sessions = await recordingStorage.getUnfinishedSessions();
+        } catch (error) {
+            console.error('Error checking for unfinished recordings:', error);
+            return;
         }
 
-        toast.success('Recording complete! You can now proceed to the next step.');
+        for (const { session, blob } of sessions) {
+            const startedAt = new Date(session.startedAt).toLocaleString();
+
+            if (blob && confirm(`A recording from ${startedAt} was interrupted. Recover it as a take?`)) {
+                try {
+                    const take = await this.takeManager.addTake(blob, { name: `Recovered take (${startedAt})` });
+                    toast.success(`"${take.name}" recovered`);
+                } catch (error) {
+                    console.error('Error recovering recording:', error);
+                    toast.error('Could not recover the interrupted recording');
+                }
+            }
+
+            await recordingStorage.deleteSession(session.id).catch(error => {
+                console.error('Error removing unfinished recording:', error);
+            });
+        }
+    }
+
+    async handleAudioUpload(event) {
+        const files = event.target.files;
+        if (!files || files.length === 0) return;
+
+        if (this.recorder.isRecording) {
+            toast.warning('Stop the current recording before uploading a file');
+            return;
+        }
+
+        const file = files[0];
+        const loadingToast = toast.loading(`Reading "${file.name}"...`);
+
+        try {
+            const { blob, duration } = await audioConverter.loadAudioFile(file);
+            toast.hide(loadingToast);
+
+            this.updateTimer(duration * 1000);
+            await this.handleRecordingComplete(blob, `"${file.name}" loaded! You can now proceed to the next step.`, {
+                name: file.name.replace(/\.[^.]+$/, ''),
+                source: 'upload'
+            });
+        } catch (error) {
+            toast.hide(loadingToast);
+            toast.error(error.message);
+        }
     }
 
     async handleCharacterUpload(event) {
@@ -316,10 +707,33 @@ class App {
         }
     }
 
+    async handleBackgroundUpload(event) {
+        const files = event.target.files;
+        if (!files || files.length === 0) return;
+
+        const file = files[0];
+        const name = prompt('Enter a name for this background:', file.name.split('.')[0]);
+
+        if (!name) return;
+
+        try {
+            await this.backgroundPicker.uploadBackground(file, name);
+        } catch (error) {
+            // Error already shown by the background picker
+            console.error('Background upload error:', error);
+        }
+    }
+
     updateSummary() {
         const recordingSummary = document.getElementById('summary-recording');
         if (recordingSummary) {
-            recordingSummary.textContent = this.recorder.getAudioBlob() ? '✓ Ready' : 'Not recorded';
+            const take = this.takeManager.getActiveTake();
+            if (this.inputMode === 'script') {
+                const seconds = this.scriptEditor.getEstimatedDuration();
+                recordingSummary.textContent = `✓ Script, ${this.scriptEditor.getWordCount()} words (about ${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')})`;
+            } else {
+                recordingSummary.textContent = take ? `✓ ${take.name}` : 'Not recorded';
+            }
         }
 
         const avatarSummary = document.getElementById('summary-avatar');
@@ -341,29 +755,126 @@ class App {
 
         if (voiceSummary) {
             if (voice?.type === 'preset') {
-                voiceSummary.textContent = voice.voice.display_name || voice.voice.name || 'Preset Voice';
+                const settings = this.voiceTuning.getSettings(voice.voice);
+                voiceSummary.textContent = `${voice.voice.display_name || voice.voice.name || 'Preset Voice'}${settings ? ` · ${this.voiceTuning.describe(settings)}` : ''}`;
             } else if (voice?.type === 'custom') {
                 voiceSummary.textContent = 'My Voice (Custom)';
             } else {
                 voiceSummary.textContent = 'Not selected';
             }
         }
+
+        // Size limits depend on whether a preset avatar or a talking photo is used
+        this.outputFormat.setCharacterType(character ? 'photo' : 'avatar');
+        const formatSummary = document.getElementById('summary-format');
+        if (formatSummary) {
+            formatSummary.textContent = this.outputFormat.getLabel();
+        }
+
+        const backgroundSummary = document.getElementById('summary-background');
+        if (backgroundSummary) {
+            backgroundSummary.textContent = this.backgroundPicker.getLabel();
+        }
     }
 
-    async generateVideo() {
-        try {
-            await this.videoGenerator.generateVideo();
-        } catch (error) {
-            console.error('Video generation error:', error);
+    generateVideo() {
+        const job = this.videoGenerator.generateVideo({
+            script: this.inputMode === 'script' ? this.scriptEditor.getScript() : null
+        });
+
+        if (job) {
+            this.jobsPanel.expand();
+            toast.success('Video queued! You can keep working while it generates.');
         }
     }
 
+    /**
+     * Add the current recording or script, avatar, voice and background to the storyboard
+     */
+    addScene() {
+        const scene = this.videoGenerator.captureScene({
+            script: this.inputMode === 'script' ? this.scriptEditor.getScript() : null
+        });
+        if (!scene || !this.storyboard.addScene(scene)) return;
+
+        toast.success(`Scene ${this.storyboard.getScenes().length} added! Change the recording, avatar, voice or background for the next scene.`, 5000);
+    }
+
+    generateStoryboard() {
+        const job = this.videoGenerator.generateStoryboard(this.storyboard.getScenes());
+
+        if (job) {
+            this.jobsPanel.expand();
+            toast.success('Storyboard video queued! You can keep working while it generates.');
+        }
+    }
+
+    openSpeakerAssignment() {
+        const turns = this.transcriptReview.getTurns();
+        if (turns.length > 0) {
+            this.speakerAssignment.open(turns);
+        }
+    }
+
+    /**
+     * One scene per speaker turn, spoken by that speaker's avatar and voice
+     * @param {Array<Object>} turns - From SpeakerAssignment.getDialogue
+     */
+    createDialogueScenes(turns) {
+        return turns.map(turn => this.videoGenerator.createScene({
+            avatar: turn.avatar,
+            character: turn.character,
+            voiceSelection: { type: 'preset', voice: turn.voice },
+            // The step 3 tuning applies to every speaker's voice
+            voiceSettings: this.voiceTuning.getSettings(turn.voice),
+            voiceProfileName: this.voiceTuning.getProfileName(),
+            transcript: { text: turn.text, originalText: null, words: [] }
+        }));
+    }
+
+    generateDialogue(turns) {
+        const job = this.videoGenerator.generateStoryboard(this.createDialogueScenes(turns));
+
+        if (job) {
+            this.speakerAssignment.close();
+            this.jobsPanel.expand();
+            toast.success('Dialogue video queued! You can keep working while it generates.');
+        }
+    }
+
+    addDialogueToStoryboard(turns) {
+        let added = 0;
+        for (const scene of this.createDialogueScenes(turns)) {
+            // Stops once the storyboard is full
+            if (!this.storyboard.addScene(scene)) break;
+            added++;
+        }
+
+        this.speakerAssignment.close();
+        if (added > 0) {
+            toast.success(`${added} scene${added === 1 ? '' : 's'} added to the storyboard`);
+        }
+    }
+
+    handleJobFinished(job) {
+        if (job.status === 'completed') {
+            toast.success(`"${job.label}" is ready! Click Watch in the videos panel.`, 5000);
+        } else if (job.status === 'failed') {
+            toast.error(`"${job.label}" failed: ${describeError(job.error)}`, 6000);
+        } else if (job.status === 'cancelled') {
+            toast.info(`"${job.label}" cancelled`);
+        }
+
+        this.refreshHistory();
+    }
+
     showVideoModal(videoUrl, videoId = null) {
         const modal = document.getElementById('video-result-modal');
         const videoPlayer = document.getElementById('video-player');
 
         if (modal && videoPlayer) {
             videoPlayer.src = videoUrl;
+            this.attachCaptions(videoPlayer, videoId);
             videoPlayer.load();
             modal.classList.add('active');
 
@@ -376,6 +887,35 @@ class App {
         }
     }
 
+    /**
+     * Add the video's captions to the player as a WebVTT track, if it has word timings
+     */
+    async attachCaptions(videoPlayer, videoId) {
+        videoPlayer.querySelectorAll('track').forEach(track => track.remove());
+        if (this.captionsUrl) {
+            URL.revokeObjectURL(this.captionsUrl);
+            this.captionsUrl = null;
+        }
+
+        if (!videoId) return;
+
+        try {
+            const cues = captions.getVideoCues(await videoHistoryManager.getVideo(videoId));
+            if (!cues) return;
+
+            this.captionsUrl = URL.createObjectURL(new Blob([captions.toVTT(cues)], { type: 'text/vtt' }));
+
+            const track = document.createElement('track');
+            track.kind = 'captions';
+            track.label = 'Captions';
+            track.src = this.captionsUrl;
+            track.default = true;
+            videoPlayer.appendChild(track);
+        } catch (error) {
+            console.warn('Could not load captions:', error);
+        }
+    }
+
     closeVideoModal() {
         const modal = document.getElementById('video-result-modal');
         modal?.classList.remove('active');
@@ -388,8 +928,8 @@ class App {
         this.recorder.reset();
         document.getElementById('recorder-timer').textContent = '00:00';
         document.getElementById('recording-status').textContent = '';
-        document.getElementById('play-btn').disabled = true;
-        document.getElementById('next-to-avatar').disabled = true;
+        // Takes are kept so a previous one can be reused for the next video
+        this.handleActiveTakeChanged(this.takeManager.getActiveTake());
 
         toast.info('Ready to create a new video!');
     }
@@ -443,23 +983,50 @@ class App {
                     </div>
                     <div class="history-details">
                         <p><strong>Voice:</strong> ${video.voiceName || 'Unknown'}</p>
+                        ${video.voiceSettings ? `
+                        <p><strong>Voice tuning:</strong> ${this.voiceTuning.describe(video.voiceSettings)}${video.voiceProfileName ? ` (${video.voiceProfileName})` : ''}</p>
+                        ` : ''}
+                        ${video.scenes?.length ? `
+                        <p><strong>Scenes:</strong> ${video.scenes.map((scene, index) => `${index + 1}. ${scene.avatarName}${scene.voiceSettings ? ` (${this.voiceTuning.describe(scene.voiceSettings)})` : ''}`).join(' → ')}</p>
+                        ` : ''}
+                        ${video.backgroundName ? `
+                        <p><strong>Background:</strong> ${video.backgroundName}</p>
+                        ` : ''}
+                        ${video.outputFormat ? `
+                        <p><strong>Format:</strong> ${video.outputFormat.aspectRatio} · ${video.outputFormat.width} × ${video.outputFormat.height}</p>
+                        ` : ''}
                         <p><strong>Created:</strong> ${new Date(video.createdAt).toLocaleString()}</p>
                         ${video.transcript ? `
                         <p class="history-transcript">"${video.transcript.substring(0, 100)}${video.transcript.length > 100 ? '...' : ''}"</p>
                         ` : ''}
+                        ${video.originalTranscript && video.originalTranscript !== video.transcript ? `
+                        <p class="history-transcript"><strong>Before edits:</strong> "${video.originalTranscript.substring(0, 100)}${video.originalTranscript.length > 100 ? '...' : ''}"</p>
+                        ` : ''}
                     </div>
                     <div class="history-actions">
                         ${video.status === 'completed' && video.videoUrl ? `
-                            <button class="btn btn-primary" onclick="window.app.playHistoryVideo('${video.videoUrl}', '${video.id}')">
+                            <button class="btn btn-primary" onclick="window.app.playHistoryVideo('${video.videoUrl}', '${video.videoId}')">
                                 <i class="fas fa-play"></i> Play
                             </button>
                             <button class="btn btn-secondary" onclick="window.app.downloadHistoryVideo('${video.videoUrl}', '${video.id}')">
                                 <i class="fas fa-download"></i> Download
                             </button>
+                            ${video.words?.length ? `
+                            <button class="btn btn-secondary" onclick="window.app.downloadCaptions('${video.videoId}', 'srt')">
+                                <i class="fas fa-closed-captioning"></i> SRT
+                            </button>
+                            <button class="btn btn-secondary" onclick="window.app.downloadCaptions('${video.videoId}', 'vtt')">
+                                <i class="fas fa-closed-captioning"></i> VTT
+                            </button>
+                            ` : ''}
                         ` : video.status === 'processing' ? `
                             <button class="btn btn-secondary" disabled>
                                 <i class="fas fa-spinner fa-spin"></i> Processing...
                             </button>
+                        ` : video.status === 'cancelled' ? `
+                            <button class="btn btn-secondary" disabled>
+                                <i class="fas fa-ban"></i> Cancelled
+                            </button>
                         ` : `
                             <button class="btn btn-secondary" disabled>
                                 <i class="fas fa-exclamation-triangle"></i> Failed
@@ -479,6 +1046,13 @@ class App {
         }
     }
 
+    // Re-render the history if it is open, e.g. after a background video finishes
+    refreshHistory() {
+        if (document.getElementById('history-modal')?.classList.contains('active')) {
+            this.showHistory();
+        }
+    }
+
     closeHistory() {
         const modal = document.getElementById('history-modal');
         modal?.classList.remove('active');
@@ -502,6 +1076,38 @@ class App {
 
         toast.success('Video download started!');
     }
+
+    /**
+     * Download a history video's captions
+     * @param {string} videoId - The HeyGen video ID
+     * @param {string} format - 'srt' or 'vtt'
+     */
+    async downloadCaptions(videoId, format) {
+        try {
+            const cues = captions.getVideoCues(await videoHistoryManager.getVideo(videoId));
+            if (!cues) {
+                toast.error('No captions are available for this video');
+                return;
+            }
+
+            const content = format === 'srt' ? captions.toSRT(cues) : captions.toVTT(cues);
+            const type = format === 'srt' ? 'application/x-subrip' : 'text/vtt';
+            const url = URL.createObjectURL(new Blob([content], { type }));
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `voice-video-${videoId}.${format}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            toast.success('Captions downloaded!');
+        } catch (error) {
+            console.error('Error downloading captions:', error);
+            toast.error('Could not create captions for this video');
+        }
+    }
 }
 
 // Initialize app when DOM is ready
@@ -9,8 +9,12 @@ class AvatarSelector {
     }
 
     async init() {
-        await this.loadPresetAvatars();
-        this.render();
+        try {
+            await this.loadPresetAvatars();
+        } finally {
+            // Shows the empty state if loading failed
+            this.render();
+        }
     }
 
     async loadPresetAvatars() {
@@ -22,6 +26,8 @@ class AvatarSelector {
         } catch (error) {
             console.error('Error loading preset avatars:', error);
             this.avatars = [];
+            // Reported by the app, which knows what still works without them
+            throw error;
         }
     }
 
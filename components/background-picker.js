@@ -0,0 +1,257 @@
+// Background Picker Component
+// Solid colors, or images and videos uploaded to HeyGen and kept locally for reuse
+import heyGen from '../services/heygen.js';
+import backgroundStorage from '../utils/background-storage.js';
+import preferences from '../utils/preferences.js';
+import { describeError } from '../services/api-errors.js';
+import CONFIG from '../config.js';
+
+class BackgroundPicker {
+    constructor() {
+        this.backgrounds = [];
+        // { type: 'default' }, { type: 'color', value } or { type: 'upload', id }
+        this.selection = preferences.get('background', { type: 'default' });
+        this.objectUrls = [];
+    }
+
+    async init() {
+        try {
+            this.backgrounds = await backgroundStorage.getBackgrounds();
+        } catch (error) {
+            console.error('Error loading backgrounds:', error);
+            this.backgrounds = [];
+        }
+
+        // The selected upload may have been deleted in another tab
+        if (this.selection.type === 'upload' && !this.getUpload(this.selection.id)) {
+            this.selection = { type: 'default' };
+        }
+
+        this.render();
+        this.attachEventListeners();
+    }
+
+    getUpload(id) {
+        return this.backgrounds.find(background => background.id === id) || null;
+    }
+
+    /**
+     * The background for HeyGen's video input, or null for HeyGen's default backdrop
+     * @returns {Object|null}
+     */
+    getBackgroundConfig() {
+        if (this.selection.type === 'color') {
+            return { type: 'color', value: this.selection.value };
+        }
+
+        const upload = this.selection.type === 'upload' ? this.getUpload(this.selection.id) : null;
+        if (upload?.type === 'image') {
+            return { type: 'image', image_asset_id: upload.heygenId };
+        }
+        if (upload?.type === 'video') {
+            return { type: 'video', video_asset_id: upload.heygenId, play_style: CONFIG.BACKGROUND.VIDEO_PLAY_STYLE };
+        }
+
+        return null;
+    }
+
+    getLabel() {
+        if (this.selection.type === 'color') {
+            return `Color ${this.selection.value}`;
+        }
+
+        const upload = this.selection.type === 'upload' ? this.getUpload(this.selection.id) : null;
+        if (upload) {
+            return `${upload.type === 'video' ? 'Video' : 'Image'}: ${upload.name}`;
+        }
+
+        return 'Default';
+    }
+
+    /**
+     * What to show behind the avatar in local previews
+     * @returns {Object|null} - { type: 'color', value }, { type: 'image' | 'video', blob }, or null for the default
+     */
+    getPreview() {
+        if (this.selection.type === 'color') {
+            return { type: 'color', value: this.selection.value };
+        }
+
+        const upload = this.selection.type === 'upload' ? this.getUpload(this.selection.id) : null;
+        return upload ? { type: upload.type, blob: upload.blob } : null;
+    }
+
+    select(selection) {
+        this.selection = selection;
+        preferences.set('background', selection);
+        this.render();
+        this.onBackgroundChanged(this.getBackgroundConfig());
+    }
+
+    /**
+     * Upload an image or video to HeyGen and keep it for later videos
+     * @param {File} file - The image or video
+     * @param {string} name - Display name
+     */
+    async uploadBackground(file, name) {
+        const { SUPPORTED_IMAGE_FORMATS, SUPPORTED_VIDEO_FORMATS, MAX_IMAGE_SIZE, MAX_VIDEO_SIZE } = CONFIG.BACKGROUND;
+        const type = SUPPORTED_VIDEO_FORMATS.includes(file.type) ? 'video'
+            : SUPPORTED_IMAGE_FORMATS.includes(file.type) ? 'image'
+                : null;
+
+        const maxSize = type === 'video' ? MAX_VIDEO_SIZE : MAX_IMAGE_SIZE;
+        const problem = !type
+            ? 'Unsupported file format. Please use JPG, PNG, WebP, MP4 or WebM.'
+            : file.size > maxSize ? `File size exceeds ${maxSize / (1024 * 1024)}MB limit.` : null;
+
+        if (problem) {
+            window.toast?.error(problem);
+            throw new Error(problem);
+        }
+
+        const uploadToast = window.toast?.loading(`Uploading background ${type} to HeyGen...`);
+
+        try {
+            const asset = await heyGen.uploadAsset(file, type);
+            if (!asset?.id) {
+                throw new Error('Failed to get HeyGen asset ID');
+            }
+
+            const background = {
+                name,
+                type,
+                blob: new Blob([await file.arrayBuffer()], { type: file.type }),
+                heygenId: asset.id
+            };
+            background.id = await backgroundStorage.saveBackground(background);
+            this.backgrounds.push(background);
+
+            if (window.toast && uploadToast) {
+                window.toast.hide(uploadToast);
+                window.toast.success(`Background "${name}" uploaded!`);
+            }
+
+            this.select({ type: 'upload', id: background.id });
+            return background;
+        } catch (error) {
+            if (window.toast && uploadToast) {
+                window.toast.hide(uploadToast);
+                window.toast.error(`Upload failed. ${describeError(error)}`);
+            }
+            throw error;
+        }
+    }
+
+    async deleteBackground(id) {
+        await backgroundStorage.deleteBackground(id);
+        this.backgrounds = this.backgrounds.filter(background => background.id !== id);
+
+        if (this.selection.type === 'upload' && this.selection.id === id) {
+            this.select({ type: 'default' });
+        } else {
+            this.render();
+        }
+    }
+
+    render() {
+        const colors = document.getElementById('background-colors');
+        if (colors) {
+            const { type, value } = this.selection;
+            const customColor = type === 'color' && !CONFIG.BACKGROUND.COLORS.includes(value) ? value : null;
+
+            colors.innerHTML = `
+          <button class="background-swatch background-default ${type === 'default' ? 'selected' : ''}" data-type="default" title="HeyGen default">Default</button>
+          ${CONFIG.BACKGROUND.COLORS.map(color => `
+          <button class="background-swatch ${type === 'color' && value === color ? 'selected' : ''}" data-type="color" data-value="${color}" title="${color}" style="background: ${color};"></button>
+          `).join('')}
+          <label class="background-swatch background-custom ${customColor ? 'selected' : ''}" title="Custom color" style="${customColor ? `background: ${customColor};` : ''}">
+            <input type="color" id="background-color-input" value="${customColor || '#ffffff'}">
+            +
+          </label>
+        `;
+        }
+
+        const grid = document.getElementById('backgrounds-grid');
+        if (grid) {
+            // Blob URLs from the previous render are no longer shown
+            this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+            this.objectUrls = [];
+
+            grid.innerHTML = this.backgrounds.map(background => {
+                const url = URL.createObjectURL(background.blob);
+                this.objectUrls.push(url);
+                const isSelected = this.selection.type === 'upload' && this.selection.id === background.id;
+
+                return `
+          <div class="character-card background-card ${isSelected ? 'selected' : ''}" data-id="${background.id}">
+            ${background.type === 'video'
+                        ? `<video src="${url}" class="character-image" muted loop playsinline></video>`
+                        : `<img src="${url}" alt="${background.name}" class="character-image">`}
+            <div class="character-overlay">
+              <div class="character-name">${background.type === 'video' ? '🎞️ ' : ''}${background.name}</div>
+              <div class="character-actions">
+                <button class="btn icon-btn btn-danger background-delete-btn" data-id="${background.id}" title="Delete">
+                  <svg class="icon" viewBox="0 0 24 24" fill="none">
+                    <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                  </svg>
+                </button>
+              </div>
+            </div>
+          </div>
+        `;
+            }).join('');
+        }
+    }
+
+    attachEventListeners() {
+        const colors = document.getElementById('background-colors');
+
+        // Delegated so the swatches can be re-rendered freely
+        colors?.addEventListener('click', (e) => {
+            const swatch = e.target.closest('button.background-swatch');
+            if (!swatch) return;
+
+            this.select(swatch.dataset.type === 'color'
+                ? { type: 'color', value: swatch.dataset.value }
+                : { type: 'default' });
+        });
+
+        colors?.addEventListener('change', (e) => {
+            if (e.target.id === 'background-color-input') {
+                this.select({ type: 'color', value: e.target.value });
+            }
+        });
+
+        const grid = document.getElementById('backgrounds-grid');
+
+        grid?.addEventListener('click', async (e) => {
+            const card = e.target.closest('.background-card');
+            if (!card) return;
+
+            const id = parseInt(card.dataset.id, 10);
+            const background = this.getUpload(id);
+            if (!background) return;
+
+            if (e.target.closest('.background-delete-btn')) {
+                if (confirm(`Are you sure you want to delete "${background.name}"?`)) {
+                    await this.deleteBackground(id);
+                }
+            } else {
+                this.select({ type: 'upload', id });
+            }
+        });
+
+        // Preview video backgrounds on hover
+        grid?.addEventListener('mouseover', (e) => {
+            e.target.closest('.background-card')?.querySelector('video')?.play().catch(() => { });
+        });
+        grid?.addEventListener('mouseout', (e) => {
+            e.target.closest('.background-card')?.querySelector('video')?.pause();
+        });
+    }
+
+    // Callbacks to be overridden
+    onBackgroundChanged(background) { }
+}
+
+export default BackgroundPicker;
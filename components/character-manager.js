@@ -1,6 +1,7 @@
 // Character Manager Component
 import storage from '../utils/storage.js';
 import CONFIG from '../config.js';
+import { describeError } from '../services/api-errors.js';
 
 class CharacterManager {
   constructor() {
@@ -73,7 +74,7 @@ class CharacterManager {
       // Hide loading toast and show error
       if (window.toast && uploadToast) {
         window.toast.hide(uploadToast);
-        window.toast.error(`HeyGen upload failed: ${error.message}`);
+        window.toast.error(`Upload failed. ${describeError(error)}`);
       }
       throw error;
     }
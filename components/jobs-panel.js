@@ -0,0 +1,133 @@
+// Jobs Panel Component
+// Lists queued and running videos with the progress of each stage
+import { describeError } from '../services/api-errors.js';
+import CONFIG from '../config.js';
+
+const STAGE_LABELS = {
+    transcribe: 'Transcribe',
+    upload: 'Upload',
+    create: 'Create',
+    poll: 'Render'
+};
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Generating',
+    completed: 'Ready',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+class JobsPanel {
+    constructor(videoGenerator) {
+        this.videoGenerator = videoGenerator;
+        this.queue = videoGenerator.queue;
+        this.collapsed = false;
+    }
+
+    init() {
+        this.renderConcurrency();
+        this.attachEventListeners();
+        this.render();
+    }
+
+    renderConcurrency() {
+        const select = document.getElementById('jobs-concurrency');
+        if (!select) return;
+
+        select.innerHTML = Array.from({ length: CONFIG.JOBS.MAX_CONCURRENCY }, (_, i) => i + 1)
+            .map(n => `<option value="${n}" ${n === this.queue.concurrency ? 'selected' : ''}>${n}</option>`)
+            .join('');
+    }
+
+    render() {
+        const panel = document.getElementById('jobs-panel');
+        const container = document.getElementById('jobs-list');
+        if (!panel || !container) return;
+
+        const jobs = this.queue.getJobs();
+        panel.classList.toggle('hidden', jobs.length === 0);
+        panel.classList.toggle('collapsed', this.collapsed);
+
+        const active = jobs.filter(job => !this.queue.isFinished(job)).length;
+        const count = document.getElementById('jobs-panel-count');
+        if (count) {
+            count.textContent = active > 0 ? `${active} in progress` : 'All done';
+        }
+
+        // Newest job first
+        container.innerHTML = [...jobs].reverse().map(job => `
+        <div class="job-item status-${job.status}" data-id="${job.id}">
+          <div class="job-header">
+            <div class="job-name"></div>
+            <div class="job-status">${STATUS_LABELS[job.status]}</div>
+          </div>
+          <div class="job-stages">
+            ${job.stages.map(stage => `
+            <span class="job-stage stage-${stage.state}">${STAGE_LABELS[stage.name] || stage.name}</span>
+            `).join('')}
+          </div>
+          ${job.progress ? `<div class="job-progress">${job.progress}</div>` : ''}
+          ${job.status === 'failed' && job.error ? `<div class="job-error">${describeError(job.error)}</div>` : ''}
+          <div class="job-actions">
+            ${job.status === 'completed' ? `
+            <button class="btn btn-sm btn-primary job-watch-btn" data-id="${job.id}">Watch</button>
+            ` : ''}
+            ${this.queue.isFinished(job) ? `
+            <button class="btn btn-sm btn-secondary job-remove-btn" data-id="${job.id}">Dismiss</button>
+            ` : `
+            <button class="btn btn-sm btn-secondary job-cancel-btn" data-id="${job.id}">Cancel</button>
+            `}
+          </div>
+        </div>
+      `).join('');
+
+        // Labels include character and take names, so set them as text rather than markup
+        container.querySelectorAll('.job-item').forEach(item => {
+            item.querySelector('.job-name').textContent = this.queue.getJob(parseInt(item.dataset.id, 10))?.label || '';
+        });
+    }
+
+    attachEventListeners() {
+        document.getElementById('jobs-panel-toggle')?.addEventListener('click', () => {
+            this.collapsed = !this.collapsed;
+            this.render();
+        });
+
+        document.getElementById('jobs-concurrency')?.addEventListener('change', (e) => {
+            this.videoGenerator.setConcurrency(parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('clear-finished-jobs-btn')?.addEventListener('click', () => {
+            this.queue.clearFinished();
+        });
+
+        // Delegated so the list can be re-rendered freely
+        document.getElementById('jobs-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+
+            const job = this.queue.getJob(parseInt(button.dataset.id, 10));
+            if (!job) return;
+
+            if (button.classList.contains('job-watch-btn')) {
+                this.onWatch(job);
+            } else if (button.classList.contains('job-cancel-btn')) {
+                this.videoGenerator.cancelJob(job.id);
+            } else if (button.classList.contains('job-remove-btn')) {
+                this.queue.remove(job.id);
+            }
+        });
+    }
+
+    // Show the panel, e.g. when a video is queued
+    expand() {
+        this.collapsed = false;
+        this.render();
+    }
+
+    // Callbacks to be overridden
+    onWatch(job) { }
+}
+
+export default JobsPanel;
@@ -0,0 +1,83 @@
+// Microphone Settings Component
+// Input device picker and processing toggles for the voice recorder
+
+class MicrophoneSettings {
+    constructor(recorder) {
+        this.recorder = recorder;
+        this.devices = [];
+    }
+
+    async init() {
+        this.attachEventListeners();
+        this.renderConstraints();
+
+        try {
+            this.render(await this.recorder.getInputDevices());
+        } catch (error) {
+            console.error('Error listing microphones:', error);
+            this.render([]);
+        }
+    }
+
+    render(devices) {
+        this.devices = devices;
+
+        const select = document.getElementById('microphone-select');
+        if (!select) return;
+
+        const selectedId = this.recorder.deviceId;
+
+        // Without microphone permission browsers hide device labels
+        select.innerHTML = '<option value="">System default</option>' +
+            devices
+                .filter(device => device.deviceId && device.deviceId !== 'default')
+                .map((device, index) => `
+            <option value="${device.deviceId}" ${device.deviceId === selectedId ? 'selected' : ''}>
+              ${device.label || `Microphone ${index + 1}`}
+            </option>
+          `).join('');
+
+        // A saved device that isn't plugged in stays selected so it is picked up when it returns
+        if (selectedId && !devices.some(device => device.deviceId === selectedId)) {
+            select.insertAdjacentHTML('beforeend',
+                `<option value="${selectedId}" selected>Saved microphone (not connected)</option>`);
+        }
+    }
+
+    renderConstraints() {
+        document.querySelectorAll('[data-constraint]').forEach(input => {
+            input.checked = !!this.recorder.constraints[input.dataset.constraint];
+        });
+    }
+
+    attachEventListeners() {
+        document.getElementById('microphone-select')?.addEventListener('change', async (e) => {
+            try {
+                await this.recorder.setDevice(e.target.value);
+                if (window.toast) {
+                    window.toast.success('Microphone updated');
+                }
+            } catch (error) {
+                console.error('Error switching microphone:', error);
+                if (window.toast) {
+                    window.toast.error('Could not use that microphone');
+                }
+            }
+        });
+
+        document.querySelectorAll('[data-constraint]').forEach(input => {
+            input.addEventListener('change', async () => {
+                try {
+                    await this.recorder.setConstraint(input.dataset.constraint, input.checked);
+                } catch (error) {
+                    console.error('Error applying microphone setting:', error);
+                    if (window.toast) {
+                        window.toast.error('Could not apply microphone setting');
+                    }
+                }
+            });
+        });
+    }
+}
+
+export default MicrophoneSettings;
@@ -0,0 +1,177 @@
+// Output Format Component
+// Aspect ratio and resolution of generated videos, saved per user
+import preferences from '../utils/preferences.js';
+import CONFIG from '../config.js';
+
+class OutputFormat {
+    constructor() {
+        this.format = {
+            aspectRatio: CONFIG.OUTPUT.DEFAULT_ASPECT_RATIO,
+            resolution: CONFIG.OUTPUT.DEFAULT_RESOLUTION,
+            // Used when resolution is 'custom'
+            width: null,
+            height: null,
+            ...preferences.get('outputFormat', {})
+        };
+        // 'avatar' or 'photo', for validation hints
+        this.characterType = 'avatar';
+    }
+
+    init() {
+        this.render();
+        this.attachEventListeners();
+    }
+
+    /**
+     * The size and shape of the video to generate
+     * @returns {{aspectRatio: string, width: number, height: number}}
+     */
+    getDimensions() {
+        const { aspectRatio, resolution, width, height } = this.format;
+
+        if (resolution === 'custom' && width && height) {
+            return { aspectRatio: this.getRatioName(width, height), width, height };
+        }
+
+        const ratio = CONFIG.OUTPUT.ASPECT_RATIOS[aspectRatio] || CONFIG.OUTPUT.ASPECT_RATIOS[CONFIG.OUTPUT.DEFAULT_ASPECT_RATIO];
+        const shortSide = CONFIG.OUTPUT.RESOLUTIONS[resolution] || CONFIG.OUTPUT.RESOLUTIONS[CONFIG.OUTPUT.DEFAULT_RESOLUTION];
+        const scale = shortSide / Math.min(ratio.width, ratio.height);
+
+        return {
+            aspectRatio: this.getRatioName(ratio.width, ratio.height),
+            // Video encoders need even dimensions
+            width: Math.round(ratio.width * scale / 2) * 2,
+            height: Math.round(ratio.height * scale / 2) * 2
+        };
+    }
+
+    // Reduce a size to its simplest ratio, e.g. 1080 x 1350 -> '4:5'
+    getRatioName(width, height) {
+        const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+        const divisor = gcd(width, height) || 1;
+        return `${width / divisor}:${height / divisor}`;
+    }
+
+    /**
+     * @param {Object} dimensions - From getDimensions
+     * @returns {string} - e.g. 'Vertical (Reels, Shorts) 9:16 · 720 × 1280'
+     */
+    getLabel({ aspectRatio, width, height } = this.getDimensions()) {
+        const name = CONFIG.OUTPUT.ASPECT_RATIOS[aspectRatio]?.label || 'Custom';
+        return `${name} ${aspectRatio} · ${width} × ${height}`;
+    }
+
+    /**
+     * Check the format can be rendered for a character type
+     * @param {string} characterType - 'avatar' for preset avatars, 'photo' for custom characters
+     * @returns {{valid: boolean, message?: string}}
+     */
+    validate(characterType = this.characterType) {
+        const { MIN_SIDE, MAX_SIDE } = CONFIG.OUTPUT;
+        const { width, height } = this.getDimensions();
+
+        if (this.format.resolution === 'custom' && (!this.format.width || !this.format.height)) {
+            return { valid: false, message: 'Please enter a width and height for the custom size' };
+        }
+
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width % 2 || height % 2) {
+            return { valid: false, message: 'The video width and height must be even whole numbers' };
+        }
+
+        if (Math.min(width, height) < MIN_SIDE) {
+            return { valid: false, message: `The video must be at least ${MIN_SIDE} pixels on each side` };
+        }
+
+        const maxSide = MAX_SIDE[characterType] || MAX_SIDE.avatar;
+        if (Math.max(width, height) > maxSide) {
+            const subject = characterType === 'photo' ? 'Custom characters' : 'Avatars';
+            return { valid: false, message: `${subject} can be rendered at most ${maxSide} pixels on the longest side` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Re-check the format when the avatar or character changes
+     * @param {string} characterType - 'avatar' or 'photo'
+     */
+    setCharacterType(characterType) {
+        this.characterType = characterType;
+        this.updateHint();
+    }
+
+    setFormat(updates) {
+        this.format = { ...this.format, ...updates };
+        preferences.set('outputFormat', this.format);
+        this.render();
+        this.onFormatChanged(this.getDimensions());
+    }
+
+    render() {
+        const aspectSelect = document.getElementById('output-aspect-ratio');
+        if (aspectSelect) {
+            aspectSelect.innerHTML = Object.entries(CONFIG.OUTPUT.ASPECT_RATIOS).map(([value, ratio]) => `
+            <option value="${value}" ${value === this.format.aspectRatio ? 'selected' : ''}>${ratio.label} (${value})</option>
+          `).join('');
+            aspectSelect.disabled = this.format.resolution === 'custom';
+        }
+
+        const resolutionSelect = document.getElementById('output-resolution');
+        if (resolutionSelect) {
+            resolutionSelect.innerHTML = Object.keys(CONFIG.OUTPUT.RESOLUTIONS).map(value => `
+            <option value="${value}" ${value === this.format.resolution ? 'selected' : ''}>${value}</option>
+          `).join('') + `
+            <option value="custom" ${this.format.resolution === 'custom' ? 'selected' : ''}>Custom size</option>
+          `;
+        }
+
+        document.getElementById('output-custom-size')?.classList.toggle('hidden', this.format.resolution !== 'custom');
+
+        const widthInput = document.getElementById('output-width');
+        const heightInput = document.getElementById('output-height');
+        if (widthInput && heightInput) {
+            widthInput.value = this.format.width || '';
+            heightInput.value = this.format.height || '';
+        }
+
+        this.updateHint();
+    }
+
+    updateHint() {
+        const hint = document.getElementById('output-format-hint');
+        if (!hint) return;
+
+        const validation = this.validate();
+        hint.textContent = validation.valid ? this.getLabel() : validation.message;
+        hint.classList.toggle('output-format-error', !validation.valid);
+    }
+
+    attachEventListeners() {
+        document.getElementById('output-aspect-ratio')?.addEventListener('change', (e) => {
+            this.setFormat({ aspectRatio: e.target.value });
+        });
+
+        document.getElementById('output-resolution')?.addEventListener('change', (e) => {
+            const resolution = e.target.value;
+            if (resolution === 'custom' && !this.format.width) {
+                // Start from the size of the current preset
+                const { width, height } = this.getDimensions();
+                this.setFormat({ resolution, width, height });
+            } else {
+                this.setFormat({ resolution });
+            }
+        });
+
+        ['width', 'height'].forEach(side => {
+            document.getElementById(`output-${side}`)?.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.setFormat({ [side]: Number.isNaN(value) ? null : value });
+            });
+        });
+    }
+
+    // Callbacks to be overridden
+    onFormatChanged(dimensions) { }
+}
+
+export default OutputFormat;
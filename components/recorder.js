@@ -1,5 +1,7 @@
 // Voice Recorder Component
 import CONFIG from '../config.js';
+import preferences from '../utils/preferences.js';
+import recordingStorage from '../utils/recording-storage.js';
 
 class VoiceRecorder {
     constructor() {
@@ -8,13 +10,36 @@ class VoiceRecorder {
         this.audioBlob = null;
         this.stream = null;
         this.startTime = null;
+        this.activeTime = 0;
         this.timerInterval = null;
+        this.maxDurationTimeout = null;
         this.isRecording = false;
+        this.isPaused = false;
+        this.audioContext = null;
+        this.sourceNode = null;
+        this.analyser = null;
+        this.destination = null;
+        this.levelInterval = null;
+        this.autoStopOnSilence = CONFIG.RECORDING.AUTO_STOP.ENABLED;
+
+        // Chunks are written to IndexedDB in order as they arrive
+        this.sessionId = null;
+        this.persistQueue = Promise.resolve();
+
+        // Saved input device (null = system default) and processing constraints
+        this.deviceId = preferences.get('microphoneId');
+        this.activeDeviceId = null;
+        this.constraints = { ...CONFIG.RECORDING.CONSTRAINTS, ...preferences.get('audioConstraints', {}) };
+        this.streamPromise = null;
+        this.isWatchingDevices = false;
     }
 
     async init() {
         try {
-            this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            await this.openStream();
+            this.watchDevices();
+            // Device labels are only exposed once microphone permission is granted
+            this.onDevicesChanged(await this.getInputDevices());
             return true;
         } catch (error) {
             console.error('Error accessing microphone:', error);
@@ -23,6 +48,164 @@ class VoiceRecorder {
         }
     }
 
+    /**
+     * List the available microphones
+     * @returns {Promise<Array<MediaDeviceInfo>>} - Audio input devices
+     */
+    async getInputDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'audioinput');
+    }
+
+    /**
+     * Choose the microphone to record from (null = system default).
+     * The choice is saved, and applied immediately if a stream is open.
+     */
+    async setDevice(deviceId) {
+        this.deviceId = deviceId || null;
+        preferences.set('microphoneId', this.deviceId);
+
+        if (this.stream) {
+            await this.openStream();
+        }
+    }
+
+    /**
+     * Toggle a processing constraint (echoCancellation, noiseSuppression, autoGainControl)
+     */
+    async setConstraint(name, enabled) {
+        this.constraints[name] = enabled;
+        preferences.set('audioConstraints', this.constraints);
+
+        if (this.stream) {
+            await this.openStream();
+        }
+    }
+
+    buildConstraints(deviceId) {
+        const audio = { ...this.constraints };
+        if (deviceId) {
+            audio.deviceId = { exact: deviceId };
+        }
+        return { audio };
+    }
+
+    async requestStream() {
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.buildConstraints(this.deviceId));
+        } catch (error) {
+            // The saved microphone may have been unplugged; fall back to the default input
+            if (this.deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+                console.warn('⚠️ Saved microphone unavailable, using the default input');
+                return navigator.mediaDevices.getUserMedia(this.buildConstraints(null));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open (or re-open) the microphone. Audio is routed through an
+     * AudioContext so the input can be swapped without interrupting
+     * an ongoing recording.
+     */
+    openStream() {
+        if (!this.streamPromise) {
+            this.streamPromise = this.switchStream().finally(() => {
+                this.streamPromise = null;
+            });
+        }
+        return this.streamPromise;
+    }
+
+    async switchStream() {
+        const stream = await this.requestStream();
+
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.destination = this.audioContext.createMediaStreamDestination();
+        }
+
+        const source = this.audioContext.createMediaStreamSource(stream);
+        source.connect(this.analyser);
+        source.connect(this.destination);
+
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+        }
+        this.stopTracks(this.stream);
+
+        this.stream = stream;
+        this.sourceNode = source;
+
+        const track = stream.getAudioTracks()[0];
+        this.activeDeviceId = track?.getSettings().deviceId || null;
+        track?.addEventListener('ended', () => this.handleDeviceChange());
+
+        console.log('🎙️ Using microphone:', track?.label || 'default');
+        return track?.label || '';
+    }
+
+    watchDevices() {
+        if (this.isWatchingDevices || !navigator.mediaDevices?.addEventListener) return;
+
+        navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        this.isWatchingDevices = true;
+    }
+
+    /**
+     * Refresh the device list and move to another input when the active
+     * microphone disappears, or back to the saved one when it returns
+     */
+    async handleDeviceChange() {
+        const devices = await this.getInputDevices();
+        this.onDevicesChanged(devices);
+
+        if (!this.stream) return;
+
+        const track = this.stream.getAudioTracks()[0];
+        const activeAvailable = track?.readyState === 'live' &&
+            devices.some(device => device.deviceId === this.activeDeviceId);
+        const preferredReturned = this.deviceId && this.deviceId !== this.activeDeviceId &&
+            devices.some(device => device.deviceId === this.deviceId);
+
+        if (activeAvailable && !preferredReturned) return;
+
+        try {
+            const label = await this.openStream();
+            this.onInputSwitched(label);
+        } catch (error) {
+            console.error('Error switching microphone:', error);
+        }
+    }
+
+    stopTracks(stream) {
+        stream?.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * Stop the microphone tracks and tear down the audio graph
+     */
+    releaseStream() {
+        this.stopTracks(this.stream);
+        this.stream = null;
+        this.activeDeviceId = null;
+
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+            this.analyser = null;
+            this.destination = null;
+        }
+    }
+
     async startRecording() {
         if (this.isRecording) return;
 
@@ -33,51 +216,160 @@ class VoiceRecorder {
 
         this.audioChunks = [];
         this.audioBlob = null;
+        await this.audioContext.resume();
 
         const mimeType = MediaRecorder.isTypeSupported(CONFIG.RECORDING.MIME_TYPE)
             ? CONFIG.RECORDING.MIME_TYPE
             : CONFIG.RECORDING.FALLBACK_MIME_TYPE;
 
-        this.mediaRecorder = new MediaRecorder(this.stream, { mimeType });
+        this.mediaRecorder = new MediaRecorder(this.destination.stream, { mimeType });
+
+        const sessionId = `recording-${Date.now()}`;
+        this.sessionId = sessionId;
+        this.persist(() => recordingStorage.startSession({
+            id: sessionId,
+            mimeType,
+            startedAt: new Date().toISOString()
+        }));
 
         this.mediaRecorder.ondataavailable = (event) => {
             if (event.data.size > 0) {
+                const index = this.audioChunks.length;
                 this.audioChunks.push(event.data);
+                this.persist(() => recordingStorage.saveChunk(sessionId, index, event.data));
             }
         };
 
         this.mediaRecorder.onstop = () => {
             this.audioBlob = new Blob(this.audioChunks, { type: mimeType });
             this.onRecordingComplete(this.audioBlob);
+            this.persist(() => recordingStorage.deleteSession(sessionId));
+            this.sessionId = null;
         };
 
-        this.mediaRecorder.start();
+        // Emit a chunk every TIMESLICE ms so little is lost if the tab dies
+        this.mediaRecorder.start(CONFIG.RECORDING.RECOVERY.TIMESLICE);
         this.isRecording = true;
+        this.isPaused = false;
+        this.activeTime = 0;
         this.startTime = Date.now();
         this.startTimer();
+        this.scheduleMaxDuration();
+        this.startLevelMonitor();
         this.onRecordingStart();
-
-        // Auto-stop after max duration
-        setTimeout(() => {
-            if (this.isRecording) {
-                this.stopRecording();
-            }
-        }, CONFIG.RECORDING.MAX_DURATION);
     }
 
     stopRecording() {
         if (!this.isRecording) return;
 
         this.mediaRecorder.stop();
+        this.activeTime = this.getElapsed();
         this.isRecording = false;
+        this.isPaused = false;
         this.stopTimer();
+        this.clearMaxDuration();
+        this.stopLevelMonitor();
         this.onRecordingStop();
     }
 
+    pauseRecording() {
+        if (!this.isRecording || this.isPaused) return;
+
+        this.mediaRecorder.pause();
+        this.activeTime = this.getElapsed();
+        this.isPaused = true;
+        this.stopTimer();
+        this.clearMaxDuration();
+        this.onRecordingPause();
+    }
+
+    resumeRecording() {
+        if (!this.isRecording || !this.isPaused) return;
+
+        this.mediaRecorder.resume();
+        this.isPaused = false;
+        this.startTime = Date.now();
+        this.startTimer();
+        this.scheduleMaxDuration();
+        this.onRecordingResume();
+    }
+
+    /**
+     * Active recording time in milliseconds, excluding paused periods
+     */
+    getElapsed() {
+        if (!this.isRecording || this.isPaused) {
+            return this.activeTime;
+        }
+        return this.activeTime + (Date.now() - this.startTime);
+    }
+
+    // Auto-stop once the active (unpaused) time reaches MAX_DURATION
+    scheduleMaxDuration() {
+        this.clearMaxDuration();
+        this.maxDurationTimeout = setTimeout(() => {
+            if (this.isRecording) {
+                this.stopRecording();
+            }
+        }, Math.max(0, CONFIG.RECORDING.MAX_DURATION - this.activeTime));
+    }
+
+    clearMaxDuration() {
+        if (this.maxDurationTimeout) {
+            clearTimeout(this.maxDurationTimeout);
+            this.maxDurationTimeout = null;
+        }
+    }
+
+    /**
+     * Watch the microphone level while recording and, when auto-stop is
+     * enabled, stop once the speaker has been silent for SILENCE_SECONDS
+     */
+    startLevelMonitor() {
+        const { SILENCE_SECONDS, THRESHOLD_DB } = CONFIG.RECORDING.AUTO_STOP;
+        const samples = new Float32Array(this.analyser.fftSize);
+        let heardSpeech = false;
+        let silentSince = null;
+
+        this.levelInterval = setInterval(() => {
+            this.analyser.getFloatTimeDomainData(samples);
+            const rms = Math.sqrt(samples.reduce((sum, s) => sum + s * s, 0) / samples.length);
+            const levelDb = 20 * Math.log10(rms || 1e-10);
+
+            // Pauses are deliberate, so they never count towards auto-stop
+            if (!this.autoStopOnSilence || this.isPaused) {
+                silentSince = null;
+                return;
+            }
+
+            if (levelDb > THRESHOLD_DB) {
+                heardSpeech = true;
+                silentSince = null;
+                return;
+            }
+
+            // Don't stop before the speaker has started talking
+            if (!heardSpeech) return;
+
+            silentSince = silentSince || Date.now();
+            if (Date.now() - silentSince >= SILENCE_SECONDS * 1000) {
+                console.log(`🤫 ${SILENCE_SECONDS}s of silence detected, stopping recording`);
+                this.onSilenceAutoStop();
+                this.stopRecording();
+            }
+        }, 100);
+    }
+
+    stopLevelMonitor() {
+        if (this.levelInterval) {
+            clearInterval(this.levelInterval);
+            this.levelInterval = null;
+        }
+    }
+
     startTimer() {
         this.timerInterval = setInterval(() => {
-            const elapsed = Date.now() - this.startTime;
-            this.onTimerUpdate(elapsed);
+            this.onTimerUpdate(this.getElapsed());
         }, 100);
     }
 
@@ -88,6 +380,17 @@ class VoiceRecorder {
         }
     }
 
+    /**
+     * Queue a recovery write. Failures are logged but never interrupt the recording.
+     * @param {Function} write - Returns the IndexedDB promise
+     */
+    persist(write) {
+        this.persistQueue = this.persistQueue
+            .then(write)
+            .catch(error => console.warn('⚠️ Could not save recording for recovery:', error));
+        return this.persistQueue;
+    }
+
     getAudioBlob() {
         return this.audioBlob;
     }
@@ -96,13 +399,23 @@ class VoiceRecorder {
         this.audioChunks = [];
         this.audioBlob = null;
         this.startTime = null;
+        this.activeTime = 0;
+
+        if (!this.isRecording) {
+            this.releaseStream();
+        }
     }
 
     // Callbacks to be overridden
     onRecordingStart() { }
     onRecordingStop() { }
+    onRecordingPause() { }
+    onRecordingResume() { }
     onRecordingComplete(blob) { }
     onTimerUpdate(elapsed) { }
+    onSilenceAutoStop() { }
+    onDevicesChanged(devices) { }
+    onInputSwitched(label) { }
 }
 
 export default VoiceRecorder;
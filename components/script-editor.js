@@ -0,0 +1,125 @@
+// Script Editor Component
+// Lets users type or paste the text for a preset voice instead of recording
+import preferences from '../utils/preferences.js';
+import CONFIG from '../config.js';
+
+class ScriptEditor {
+    constructor() {
+        this.textarea = null;
+    }
+
+    init() {
+        this.textarea = document.getElementById('script-input');
+        if (this.textarea) {
+            this.textarea.maxLength = CONFIG.SCRIPT.MAX_LENGTH;
+            // Restore the draft from the last visit
+            this.textarea.value = preferences.get('scriptDraft', '');
+        }
+
+        this.attachEventListeners();
+        this.updateStats();
+    }
+
+    getScript() {
+        return this.textarea ? this.textarea.value.trim() : '';
+    }
+
+    setScript(text) {
+        if (!this.textarea) return;
+
+        this.textarea.value = text.slice(0, CONFIG.SCRIPT.MAX_LENGTH);
+        this.handleInput();
+    }
+
+    getWordCount() {
+        return this.getScript().split(/\s+/).filter(Boolean).length;
+    }
+
+    /**
+     * Estimated speaking time in seconds
+     */
+    getEstimatedDuration() {
+        return Math.round(this.getWordCount() / CONFIG.SCRIPT.WORDS_PER_MINUTE * 60);
+    }
+
+    /**
+     * @returns {{valid: boolean, message?: string}}
+     */
+    validate() {
+        const script = this.getScript();
+
+        if (!script) {
+            return { valid: false, message: 'Please write a script before proceeding' };
+        }
+
+        if (script.length > CONFIG.SCRIPT.MAX_LENGTH) {
+            return { valid: false, message: `Scripts can be up to ${CONFIG.SCRIPT.MAX_LENGTH} characters` };
+        }
+
+        return { valid: true };
+    }
+
+    handleInput() {
+        preferences.set('scriptDraft', this.textarea.value || null);
+        this.updateStats();
+        this.onScriptChanged(this.getScript());
+    }
+
+    updateStats() {
+        const stats = document.getElementById('script-stats');
+        if (!stats) return;
+
+        const length = this.textarea ? this.textarea.value.length : 0;
+        const seconds = this.getEstimatedDuration();
+        const duration = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+        stats.textContent = `${length} / ${CONFIG.SCRIPT.MAX_LENGTH} characters · ${this.getWordCount()} words · about ${duration} spoken`;
+        stats.classList.toggle('warning', length >= CONFIG.SCRIPT.MAX_LENGTH);
+    }
+
+    /**
+     * Insert pasted text at the cursor as plain text with tidy whitespace
+     */
+    insertText(text) {
+        const cleaned = text.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ');
+        this.textarea.setRangeText(cleaned, this.textarea.selectionStart, this.textarea.selectionEnd, 'end');
+
+        if (this.textarea.value.length > CONFIG.SCRIPT.MAX_LENGTH && window.toast) {
+            window.toast.warning(`Your script was cut to ${CONFIG.SCRIPT.MAX_LENGTH} characters`);
+        }
+        this.setScript(this.textarea.value);
+    }
+
+    async pasteFromClipboard() {
+        try {
+            const text = await navigator.clipboard.readText();
+            if (!text) return;
+
+            this.insertText(text);
+        } catch (error) {
+            console.error('Error reading clipboard:', error);
+            if (window.toast) {
+                window.toast.error('Could not read the clipboard. Paste with Ctrl+V instead.');
+            }
+        }
+    }
+
+    attachEventListeners() {
+        this.textarea?.addEventListener('input', () => this.handleInput());
+
+        this.textarea?.addEventListener('paste', (e) => {
+            const text = e.clipboardData?.getData('text/plain');
+            if (!text) return;
+
+            e.preventDefault();
+            this.insertText(text);
+        });
+
+        document.getElementById('paste-script-btn')?.addEventListener('click', () => this.pasteFromClipboard());
+    }
+
+    // Callbacks to be overridden
+    onScriptChanged(script) { }
+}
+
+export default ScriptEditor;
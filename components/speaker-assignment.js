@@ -0,0 +1,217 @@
+// Speaker Assignment Component
+// Maps each speaker found in a dialogue recording to an avatar and a preset voice,
+// so every turn becomes a scene spoken by that speaker's avatar
+class SpeakerAssignment {
+    constructor(avatarSelector, characterManager, voiceSelector) {
+        this.avatarSelector = avatarSelector;
+        this.characterManager = characterManager;
+        this.voiceSelector = voiceSelector;
+        this.turns = [];
+        this.speakers = [];
+        // Speaker label -> { character: 'avatar:<id>' | 'character:<id>', voiceId }
+        this.assignments = {};
+    }
+
+    init() {
+        this.attachEventListeners();
+    }
+
+    /**
+     * Open the assignment screen for a transcript's speaker turns
+     * @param {Array<Object>} turns - From TranscriptReview.getTurns
+     */
+    open(turns) {
+        this.turns = turns.map(turn => ({ ...turn }));
+        this.speakers = [...new Set(turns.map(turn => turn.speaker))];
+        this.assignments = this.getDefaultAssignments();
+
+        this.render();
+        document.getElementById('speaker-modal')?.classList.add('active');
+    }
+
+    close() {
+        document.getElementById('speaker-modal')?.classList.remove('active');
+    }
+
+    // Preset avatars and custom characters, with keys that tell them apart
+    getCharacterOptions() {
+        return [
+            ...this.avatarSelector.avatars.map(avatar => ({
+                key: `avatar:${avatar.avatar_id}`,
+                name: avatar.avatar_name || avatar.avatar_id,
+                avatar
+            })),
+            ...this.characterManager.getCharacters().map(character => ({
+                key: `character:${character.id}`,
+                name: character.name || 'Custom Character',
+                character
+            }))
+        ];
+    }
+
+    getCharacterOption(key) {
+        return this.getCharacterOptions().find(option => option.key === key) || null;
+    }
+
+    getVoice(voiceId) {
+        return this.voiceSelector.voices.find(voice => voice.voice_id === voiceId) || null;
+    }
+
+    /**
+     * The first speaker gets the current selections; the others get
+     * the next avatars and voices in the lists, so everyone looks and sounds different
+     */
+    getDefaultAssignments() {
+        const characters = this.getCharacterOptions();
+        const voices = this.voiceSelector.getVisibleVoices();
+
+        const avatar = this.avatarSelector.getSelectedAvatar();
+        const character = this.characterManager.getSelectedCharacter();
+        const selectedKey = character ? `character:${character.id}` : avatar ? `avatar:${avatar.avatar_id}` : null;
+        const selectedVoice = this.voiceSelector.getSelectedVoice();
+
+        const characterStart = Math.max(0, characters.findIndex(option => option.key === selectedKey));
+        const voiceStart = selectedVoice?.type === 'preset'
+            ? Math.max(0, voices.findIndex(voice => voice.voice_id === selectedVoice.voice.voice_id))
+            : 0;
+
+        return Object.fromEntries(this.speakers.map((speaker, i) => [speaker, {
+            character: characters.length ? characters[(characterStart + i) % characters.length].key : null,
+            voiceId: voices.length ? voices[(voiceStart + i) % voices.length].voice_id : null
+        }]));
+    }
+
+    /**
+     * The turns with their speaker's avatar and voice, skipping empty turns
+     * @returns {{valid: boolean, message?: string, turns?: Array<Object>}}
+     */
+    getDialogue() {
+        for (const speaker of this.speakers) {
+            const { character, voiceId } = this.assignments[speaker];
+            if (!this.getCharacterOption(character)) {
+                return { valid: false, message: `Please choose an avatar for Speaker ${speaker}` };
+            }
+            if (!this.getVoice(voiceId)) {
+                return { valid: false, message: `Please choose a voice for Speaker ${speaker}` };
+            }
+        }
+
+        const turns = this.turns
+            .filter(turn => turn.text.trim())
+            .map(turn => {
+                const { avatar = null, character = null } = this.getCharacterOption(this.assignments[turn.speaker].character);
+                return {
+                    speaker: turn.speaker,
+                    text: turn.text.trim(),
+                    avatar,
+                    character,
+                    voice: this.getVoice(this.assignments[turn.speaker].voiceId)
+                };
+            });
+
+        if (turns.length === 0) {
+            return { valid: false, message: 'There is nothing left to say. Please restore some of the text.' };
+        }
+
+        return { valid: true, turns };
+    }
+
+    render() {
+        const characters = this.getCharacterOptions();
+        const voices = this.voiceSelector.getVisibleVoices();
+
+        const speakersContainer = document.getElementById('speaker-assignments');
+        if (speakersContainer) {
+            speakersContainer.innerHTML = this.speakers.map(speaker => {
+                const { character, voiceId } = this.assignments[speaker];
+                const turnCount = this.turns.filter(turn => turn.speaker === speaker).length;
+
+                return `
+          <div class="speaker-row">
+            <div class="speaker-label">
+              <span class="speaker-badge">${speaker}</span>
+              <span class="speaker-meta">${turnCount} turn${turnCount === 1 ? '' : 's'}</span>
+            </div>
+            <select class="select speaker-character-select" data-speaker="${speaker}">
+              ${characters.map(option => `
+              <option value="${option.key}" ${option.key === character ? 'selected' : ''}>${option.character ? '📷 ' : ''}${option.name}</option>
+              `).join('')}
+            </select>
+            <select class="select speaker-voice-select" data-speaker="${speaker}">
+              ${voices.map(voice => `
+              <option value="${voice.voice_id}" ${voice.voice_id === voiceId ? 'selected' : ''}>${voice.display_name || voice.name}${voice.gender ? ` (${voice.gender})` : ''}</option>
+              `).join('')}
+            </select>
+          </div>
+        `;
+            }).join('');
+        }
+
+        const turnsContainer = document.getElementById('speaker-turns');
+        if (turnsContainer) {
+            turnsContainer.innerHTML = this.turns.map((turn, index) => `
+          <div class="speaker-turn">
+            <span class="speaker-badge">${turn.speaker}</span>
+            <textarea class="input speaker-turn-text" data-index="${index}" rows="2"></textarea>
+          </div>
+        `).join('');
+
+            // Set as values rather than markup so the text is never parsed as HTML
+            turnsContainer.querySelectorAll('.speaker-turn-text').forEach(textarea => {
+                textarea.value = this.turns[textarea.dataset.index].text;
+            });
+        }
+
+        const summary = document.getElementById('speaker-summary');
+        if (summary) {
+            summary.textContent = `${this.speakers.length} speakers · ${this.turns.length} turns, one scene each`;
+        }
+    }
+
+    attachEventListeners() {
+        document.getElementById('close-speaker-modal')?.addEventListener('click', () => this.close());
+        document.getElementById('cancel-speaker-btn')?.addEventListener('click', () => this.close());
+
+        // Delegated so the rows can be re-rendered freely
+        document.getElementById('speaker-assignments')?.addEventListener('change', (e) => {
+            const speaker = e.target.dataset.speaker;
+            if (!speaker) return;
+
+            if (e.target.classList.contains('speaker-character-select')) {
+                this.assignments[speaker].character = e.target.value;
+            } else if (e.target.classList.contains('speaker-voice-select')) {
+                this.assignments[speaker].voiceId = e.target.value;
+            }
+        });
+
+        document.getElementById('speaker-turns')?.addEventListener('input', (e) => {
+            if (e.target.classList.contains('speaker-turn-text')) {
+                this.turns[e.target.dataset.index].text = e.target.value;
+            }
+        });
+
+        document.getElementById('generate-dialogue-btn')?.addEventListener('click', () => {
+            const dialogue = this.getDialogue();
+            if (!dialogue.valid) {
+                alert(dialogue.message);
+                return;
+            }
+            this.onGenerate(dialogue.turns);
+        });
+
+        document.getElementById('dialogue-to-storyboard-btn')?.addEventListener('click', () => {
+            const dialogue = this.getDialogue();
+            if (!dialogue.valid) {
+                alert(dialogue.message);
+                return;
+            }
+            this.onAddToStoryboard(dialogue.turns);
+        });
+    }
+
+    // Callbacks to be overridden
+    onGenerate(turns) { }
+    onAddToStoryboard(turns) { }
+}
+
+export default SpeakerAssignment;
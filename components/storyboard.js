@@ -0,0 +1,298 @@
+// Storyboard Component
+// Builds a multi-scene video, e.g. a presenter handing off to a second speaker.
+// Each scene is captured from the wizard's selections and kept until the video is queued.
+import CONFIG from '../config.js';
+
+class Storyboard {
+    constructor() {
+        this.scenes = [];
+        this.nextId = 1;
+        // The scene playing in the preview, with its audio or timer
+        this.preview = null;
+        this.objectUrls = [];
+        this.previewUrls = [];
+    }
+
+    init() {
+        this.render();
+        this.attachEventListeners();
+    }
+
+    getScenes() {
+        return this.scenes;
+    }
+
+    /**
+     * @param {Object} scene - From VideoGenerator.captureScene
+     * @returns {Object|null} - The added scene, or null if the storyboard is full
+     */
+    addScene(scene) {
+        if (this.scenes.length >= CONFIG.STORYBOARD.MAX_SCENES) {
+            window.toast?.error(`A video can have at most ${CONFIG.STORYBOARD.MAX_SCENES} scenes`);
+            return null;
+        }
+
+        const added = { ...scene, id: this.nextId++ };
+        this.scenes.push(added);
+        this.update();
+        return added;
+    }
+
+    removeScene(id) {
+        this.stopPreview();
+        this.scenes = this.scenes.filter(scene => scene.id !== id);
+        this.update();
+    }
+
+    /**
+     * Move a scene earlier (-1) or later (1) in the video
+     */
+    moveScene(id, offset) {
+        const index = this.scenes.findIndex(scene => scene.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.scenes.length) return;
+
+        this.stopPreview();
+        [this.scenes[index], this.scenes[target]] = [this.scenes[target], this.scenes[index]];
+        this.update();
+    }
+
+    clear() {
+        this.stopPreview();
+        this.scenes = [];
+        this.update();
+    }
+
+    update() {
+        this.render();
+        this.onScenesChanged(this.scenes);
+    }
+
+    getSceneText(scene) {
+        if (scene.transcript) return scene.transcript.text;
+        return 'Transcribed when the video is generated';
+    }
+
+    // Avatars have a preview URL, custom characters an image blob
+    getImageUrl(scene, urls) {
+        if (!scene.image) return null;
+        if (typeof scene.image === 'string') return scene.image;
+
+        const url = URL.createObjectURL(scene.image);
+        urls.push(url);
+        return url;
+    }
+
+    /**
+     * Play scenes in the preview: the avatar over its background, with the
+     * recording for custom voices or the text for its estimated speaking time
+     * @param {number} index - The scene to play
+     * @param {boolean} playAll - Continue with the following scenes
+     */
+    playPreview(index, playAll = false) {
+        this.stopPreview();
+
+        const scene = this.scenes[index];
+        const container = document.getElementById('storyboard-preview');
+        if (!scene || !container) return;
+
+        const background = scene.backgroundPreview;
+        const backgroundUrl = background?.blob ? URL.createObjectURL(background.blob) : null;
+        if (backgroundUrl) this.previewUrls.push(backgroundUrl);
+        const imageUrl = this.getImageUrl(scene, this.previewUrls);
+
+        container.innerHTML = `
+          <div class="storyboard-stage" style="${background?.type === 'color' ? `background: ${background.value};` : ''}">
+            ${background?.type === 'image' ? `<img src="${backgroundUrl}" alt="" class="storyboard-stage-background">` : ''}
+            ${background?.type === 'video' ? `<video src="${backgroundUrl}" class="storyboard-stage-background" muted loop autoplay playsinline></video>` : ''}
+            ${imageUrl ? `<img src="${imageUrl}" alt="" class="storyboard-stage-avatar">` : ''}
+            <div class="storyboard-stage-caption"></div>
+          </div>
+          <div class="storyboard-preview-footer">
+            <span class="storyboard-preview-title"></span>
+            <button id="stop-storyboard-preview-btn" class="btn btn-sm btn-secondary">Stop</button>
+          </div>
+        `;
+        // Names and text are user-typed, so set them as text rather than markup
+        container.querySelector('.storyboard-preview-title').textContent = `Scene ${index + 1} of ${this.scenes.length} · ${scene.avatarName} · ${scene.voiceName}`;
+        container.querySelector('.storyboard-stage-caption').textContent = this.getSceneText(scene);
+        const avatarImage = container.querySelector('.storyboard-stage-avatar');
+        if (avatarImage) avatarImage.alt = scene.avatarName;
+        container.classList.remove('hidden');
+
+        const next = () => {
+            if (playAll && index + 1 < this.scenes.length) {
+                this.playPreview(index + 1, true);
+            } else {
+                this.stopPreview();
+            }
+        };
+
+        if (scene.voiceSelection.type === 'custom' && scene.audioBlob) {
+            const audioUrl = URL.createObjectURL(scene.audioBlob);
+            this.previewUrls.push(audioUrl);
+
+            const audio = new Audio(audioUrl);
+            audio.onended = next;
+            audio.play().catch(error => console.warn('Could not play scene audio:', error));
+            this.preview = { sceneId: scene.id, audio };
+        } else {
+            // Preset voices are only heard once HeyGen renders, so show the text for as long as it would take to say
+            const words = (scene.transcript?.text || '').split(/\s+/).filter(Boolean).length;
+            const duration = Math.max(CONFIG.STORYBOARD.PREVIEW_MIN_DURATION, words / CONFIG.SCRIPT.WORDS_PER_MINUTE * 60000);
+            this.preview = { sceneId: scene.id, timer: setTimeout(next, duration) };
+        }
+
+        this.render();
+    }
+
+    stopPreview() {
+        if (!this.preview) return;
+
+        this.preview.audio?.pause();
+        clearTimeout(this.preview.timer);
+        this.preview = null;
+
+        const container = document.getElementById('storyboard-preview');
+        if (container) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+        }
+
+        this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+        this.previewUrls = [];
+        this.render();
+    }
+
+    render() {
+        const count = document.getElementById('storyboard-count');
+        if (count) {
+            count.textContent = `${this.scenes.length} scene${this.scenes.length === 1 ? '' : 's'}`;
+        }
+
+        ['play-storyboard-btn', 'clear-storyboard-btn', 'generate-storyboard-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = this.scenes.length === 0;
+        });
+
+        const container = document.getElementById('storyboard-scenes');
+        if (!container) return;
+
+        // Blob URLs from the previous render are no longer shown
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+
+        if (this.scenes.length === 0) {
+            container.innerHTML = `
+          <p class="storyboard-empty">No scenes yet. Add your current selections as the first scene,
+          then change the recording, avatar, voice or background and add the next.</p>
+        `;
+            return;
+        }
+
+        container.innerHTML = this.scenes.map((scene, index) => {
+            const imageUrl = this.getImageUrl(scene, this.objectUrls);
+            const background = scene.backgroundPreview;
+            const isPreviewing = this.preview?.sceneId === scene.id;
+
+            return `
+        <div class="storyboard-scene ${isPreviewing ? 'previewing' : ''}" data-id="${scene.id}">
+          <div class="storyboard-scene-number">${index + 1}</div>
+          <div class="storyboard-scene-thumbnail" style="${background?.type === 'color' ? `background: ${background.value};` : ''}">
+            ${imageUrl ? `<img src="${imageUrl}" alt="">` : ''}
+          </div>
+          <div class="storyboard-scene-info">
+            <div class="storyboard-scene-name"></div>
+            <div class="storyboard-scene-meta"></div>
+            <div class="storyboard-scene-text"></div>
+          </div>
+          <div class="storyboard-scene-actions">
+            <button class="btn icon-btn btn-secondary scene-preview-btn" data-id="${scene.id}" title="${isPreviewing ? 'Stop' : 'Preview'}">
+              <svg class="icon" viewBox="0 0 24 24" fill="none">
+                ${isPreviewing
+                    ? '<rect x="6" y="6" width="12" height="12" />'
+                    : '<polygon points="5 3 19 12 5 21 5 3" />'}
+              </svg>
+            </button>
+            <button class="btn icon-btn btn-secondary scene-up-btn" data-id="${scene.id}" title="Move earlier" ${index === 0 ? 'disabled' : ''}>
+              <svg class="icon" viewBox="0 0 24 24" fill="none">
+                <polyline points="18 15 12 9 6 15" />
+              </svg>
+            </button>
+            <button class="btn icon-btn btn-secondary scene-down-btn" data-id="${scene.id}" title="Move later" ${index === this.scenes.length - 1 ? 'disabled' : ''}>
+              <svg class="icon" viewBox="0 0 24 24" fill="none">
+                <polyline points="6 9 12 15 18 9" />
+              </svg>
+            </button>
+            <button class="btn icon-btn btn-danger scene-delete-btn" data-id="${scene.id}" title="Remove">
+              <svg class="icon" viewBox="0 0 24 24" fill="none">
+                <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+        }).join('');
+
+        // Scene text is a typed script or transcript and names can be typed too,
+        // so set them as text rather than markup
+        container.querySelectorAll('.storyboard-scene').forEach(item => {
+            const scene = this.scenes.find(other => other.id === parseInt(item.dataset.id, 10));
+            const text = this.getSceneText(scene);
+
+            item.querySelector('.storyboard-scene-name').textContent = `${scene.avatarName} · ${scene.voiceName}`;
+            item.querySelector('.storyboard-scene-meta').textContent = `Background: ${scene.backgroundName}`;
+            item.querySelector('.storyboard-scene-text').textContent = text.length > 80 ? `${text.substring(0, 80)}...` : text;
+
+            const image = item.querySelector('.storyboard-scene-thumbnail img');
+            if (image) image.alt = scene.avatarName;
+        });
+    }
+
+    attachEventListeners() {
+        // Delegated so the list can be re-rendered freely
+        document.getElementById('storyboard-scenes')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+
+            const id = parseInt(button.dataset.id, 10);
+            const index = this.scenes.findIndex(scene => scene.id === id);
+            if (index === -1) return;
+
+            if (button.classList.contains('scene-preview-btn')) {
+                if (this.preview?.sceneId === id) {
+                    this.stopPreview();
+                } else {
+                    this.playPreview(index);
+                }
+            } else if (button.classList.contains('scene-up-btn')) {
+                this.moveScene(id, -1);
+            } else if (button.classList.contains('scene-down-btn')) {
+                this.moveScene(id, 1);
+            } else if (button.classList.contains('scene-delete-btn')) {
+                this.removeScene(id);
+            }
+        });
+
+        document.getElementById('storyboard-preview')?.addEventListener('click', (e) => {
+            if (e.target.id === 'stop-storyboard-preview-btn') {
+                this.stopPreview();
+            }
+        });
+
+        document.getElementById('play-storyboard-btn')?.addEventListener('click', () => {
+            this.playPreview(0, true);
+        });
+
+        document.getElementById('clear-storyboard-btn')?.addEventListener('click', () => {
+            if (confirm('Remove all scenes from the storyboard?')) {
+                this.clear();
+            }
+        });
+    }
+
+    // Callbacks to be overridden
+    onScenesChanged(scenes) { }
+}
+
+export default Storyboard;
@@ -0,0 +1,365 @@
+// Take Manager Component
+// Keeps every recording or upload as a take and tracks which one is used for the video
+import takeStorage from '../utils/take-storage.js';
+import audioConverter from '../utils/audio-converter.js';
+import preferences from '../utils/preferences.js';
+import { drawPeaks, fitCanvas } from './waveform-visualizer.js';
+import CONFIG from '../config.js';
+
+class TakeManager {
+    constructor() {
+        this.takes = [];
+        this.activeTakeId = null;
+        this.persist = preferences.get('persistTakes', CONFIG.TAKES.PERSIST);
+        this.player = null;
+        this.playingTakeId = null;
+    }
+
+    async init() {
+        if (this.persist) {
+            try {
+                this.takes = await takeStorage.getTakes();
+            } catch (error) {
+                console.error('Error loading saved takes:', error);
+                this.takes = [];
+            }
+        }
+
+        const savedActiveId = preferences.get('activeTakeId');
+        const savedActive = this.takes.find(take => take.id === savedActiveId);
+        this.activeTakeId = savedActive?.id || this.takes[this.takes.length - 1]?.id || null;
+
+        this.attachEventListeners();
+        this.render();
+        this.onActiveTakeChanged(this.getActiveTake());
+    }
+
+    /**
+     * Add a recording or uploaded file as a new take and make it active
+     * @param {Blob} blob - The audio blob
+     * @param {Object} options - { name, source: 'recording' | 'upload', script }
+     * @returns {Promise<Object>} - The new take
+     */
+    async addTake(blob, { name = null, source = 'recording', script = null } = {}) {
+        const take = {
+            id: `take-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: name || this.nextTakeName(),
+            source,
+            blob,
+            // Teleprompter script read for this take, used to help correct its transcript
+            script,
+            // Set once the take is trimmed, so edits can always be undone
+            originalBlob: null,
+            edits: null,
+            duration: 0,
+            peaks: [],
+            levels: null,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.analyzeTake(take);
+        this.takes.push(take);
+        await this.saveTake(take);
+        this.setActiveTake(take.id);
+
+        return take;
+    }
+
+    /**
+     * Measure a take's duration, waveform and levels from its current audio
+     */
+    async analyzeTake(take) {
+        try {
+            const buffer = await audioConverter.decodeAudio(take.blob);
+            take.duration = buffer.duration;
+            take.peaks = Array.from(audioConverter.computePeaks(buffer, CONFIG.TAKES.WAVEFORM_BARS));
+            take.levels = audioConverter.analyzeLevels(buffer);
+        } catch (error) {
+            console.warn('Could not analyze take:', error);
+        }
+    }
+
+    /**
+     * Replace a take's audio with an edited version of its original recording
+     * @param {string} id - The take
+     * @param {Object|null} edits - { start, end, cuts } in seconds, or null to restore the original
+     * @throws {Error} - If the edits would leave (almost) nothing of the take
+     */
+    async editTake(id, edits) {
+        const take = this.getTake(id);
+        if (!take) return;
+
+        const originalBlob = take.originalBlob || take.blob;
+
+        take.blob = edits ? await audioConverter.applyEdits(originalBlob, edits) : originalBlob;
+        take.originalBlob = edits ? originalBlob : null;
+        take.edits = edits;
+
+        if (this.playingTakeId === id) this.stopPlayback();
+        if (take.url) {
+            URL.revokeObjectURL(take.url);
+            take.url = null;
+        }
+
+        await this.analyzeTake(take);
+        await this.saveTake(take);
+        this.render();
+
+        if (id === this.activeTakeId) {
+            this.onActiveTakeChanged(take);
+        }
+    }
+
+    nextTakeName() {
+        const numbers = this.takes
+            .map(take => /^Take (\d+)$/.exec(take.name))
+            .filter(Boolean)
+            .map(match => parseInt(match[1]));
+        return `Take ${numbers.length ? Math.max(...numbers) + 1 : 1}`;
+    }
+
+    async renameTake(id, name) {
+        const take = this.getTake(id);
+        if (!take || !name) return;
+
+        take.name = name;
+        await this.saveTake(take);
+        this.render();
+        this.onActiveTakeChanged(this.getActiveTake());
+    }
+
+    async deleteTake(id) {
+        const take = this.getTake(id);
+        if (!take) return;
+
+        if (this.playingTakeId === id) this.stopPlayback();
+        if (take.url) URL.revokeObjectURL(take.url);
+
+        this.takes = this.takes.filter(t => t.id !== id);
+
+        if (this.persist) {
+            try {
+                await takeStorage.deleteTake(id);
+            } catch (error) {
+                console.error('Error deleting saved take:', error);
+            }
+        }
+
+        if (this.activeTakeId === id) {
+            this.setActiveTake(this.takes[this.takes.length - 1]?.id || null);
+        } else {
+            this.render();
+        }
+
+        if (window.toast) {
+            window.toast.success(`"${take.name}" deleted`);
+        }
+    }
+
+    setActiveTake(id) {
+        this.activeTakeId = id;
+        preferences.set('activeTakeId', id);
+        this.render();
+        this.onActiveTakeChanged(this.getActiveTake());
+    }
+
+    /**
+     * Keep takes in IndexedDB across reloads, or only for this session
+     */
+    async setPersist(persist) {
+        this.persist = persist;
+        preferences.set('persistTakes', persist);
+
+        try {
+            if (persist) {
+                await Promise.all(this.takes.map(take => this.saveTake(take)));
+            } else {
+                await takeStorage.clearTakes();
+            }
+        } catch (error) {
+            console.error('Error updating saved takes:', error);
+        }
+    }
+
+    async saveTake(take) {
+        if (!this.persist) return;
+
+        try {
+            // Object URLs only live as long as the page
+            const { url, ...storedTake } = take;
+            await takeStorage.saveTake(storedTake);
+        } catch (error) {
+            console.error('Error saving take:', error);
+        }
+    }
+
+    getTake(id) {
+        return this.takes.find(take => take.id === id) || null;
+    }
+
+    getActiveTake() {
+        return this.getTake(this.activeTakeId);
+    }
+
+    getAudioBlob() {
+        return this.getActiveTake()?.blob || null;
+    }
+
+    getTakeUrl(take) {
+        if (!take.url) {
+            take.url = URL.createObjectURL(take.blob);
+        }
+        return take.url;
+    }
+
+    play(id = this.activeTakeId) {
+        const take = this.getTake(id);
+        if (!take) return;
+
+        const wasPlaying = this.playingTakeId === id;
+        this.stopPlayback();
+        if (wasPlaying) return;
+
+        this.player = new Audio(this.getTakeUrl(take));
+        this.playingTakeId = id;
+        this.player.addEventListener('ended', () => this.stopPlayback());
+        this.player.play();
+        this.render();
+    }
+
+    stopPlayback() {
+        if (this.player) {
+            this.player.pause();
+            this.player = null;
+        }
+        if (this.playingTakeId) {
+            this.playingTakeId = null;
+            this.render();
+        }
+    }
+
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+    }
+
+    render() {
+        const section = document.getElementById('takes-section');
+        const container = document.getElementById('takes-list');
+        if (!container) return;
+
+        section?.classList.toggle('hidden', this.takes.length === 0);
+
+        const persistToggle = document.getElementById('persist-takes-toggle');
+        if (persistToggle) persistToggle.checked = this.persist;
+
+        // Newest take first
+        container.innerHTML = [...this.takes].reverse().map(take => {
+            const isActive = take.id === this.activeTakeId;
+            const isPlaying = take.id === this.playingTakeId;
+
+            return `
+        <div class="take-item ${isActive ? 'active' : ''}" data-id="${take.id}">
+          <button class="btn icon-btn btn-secondary take-play-btn" data-id="${take.id}" title="${isPlaying ? 'Stop' : 'Play'}">
+            <svg class="icon" viewBox="0 0 24 24" fill="none">
+              ${isPlaying
+                    ? '<rect x="6" y="6" width="12" height="12" />'
+                    : '<polygon points="5 3 19 12 5 21 5 3" />'}
+            </svg>
+          </button>
+          <canvas class="take-thumbnail" data-id="${take.id}"></canvas>
+          <div class="take-info">
+            <div class="take-name" data-id="${take.id}"></div>
+            <div class="take-meta">
+              ${this.formatDuration(take.duration)} · ${take.source === 'upload' ? 'Uploaded' : 'Recorded'}${take.edits ? ' · Edited' : ''}
+              ${new Date(take.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </div>
+          </div>
+          <div class="take-actions">
+            <button class="btn btn-sm ${isActive ? 'btn-primary' : 'btn-secondary'} take-use-btn" data-id="${take.id}" ${isActive ? 'disabled' : ''}>
+              ${isActive ? '✓ Using' : 'Use this take'}
+            </button>
+            <button class="btn icon-btn btn-secondary take-edit-btn" data-id="${take.id}" title="Trim">
+              <svg class="icon" viewBox="0 0 24 24" fill="none">
+                <circle cx="6" cy="6" r="3" />
+                <circle cx="6" cy="18" r="3" />
+                <line x1="20" y1="4" x2="8.12" y2="15.88" />
+                <line x1="14.47" y1="14.48" x2="20" y2="20" />
+                <line x1="8.12" y1="8.12" x2="12" y2="12" />
+              </svg>
+            </button>
+            <button class="btn icon-btn btn-secondary take-rename-btn" data-id="${take.id}" title="Rename">
+              <svg class="icon" viewBox="0 0 24 24" fill="none">
+                <path d="M12 20h9" />
+                <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z" />
+              </svg>
+            </button>
+            <button class="btn icon-btn btn-danger take-delete-btn" data-id="${take.id}" title="Delete">
+              <svg class="icon" viewBox="0 0 24 24" fill="none">
+                <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+        }).join('');
+
+        // Names are typed in or come from file names, so set them as text rather than markup
+        container.querySelectorAll('.take-name').forEach(name => {
+            name.textContent = this.getTake(name.dataset.id)?.name || '';
+        });
+
+        container.querySelectorAll('.take-thumbnail').forEach(canvas => {
+            const take = this.getTake(canvas.dataset.id);
+            if (take?.peaks.length) {
+                fitCanvas(canvas);
+                drawPeaks(canvas, take.peaks, { barWidth: 2, gap: 1 });
+            }
+        });
+    }
+
+    attachEventListeners() {
+        const container = document.getElementById('takes-list');
+
+        // Delegated so the list can be re-rendered freely
+        container?.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-id]');
+            if (!button) return;
+
+            const id = button.dataset.id;
+            const take = this.getTake(id);
+            if (!take) return;
+
+            if (button.classList.contains('take-play-btn')) {
+                this.play(id);
+            } else if (button.classList.contains('take-use-btn')) {
+                this.setActiveTake(id);
+                if (window.toast) {
+                    window.toast.success(`Using "${take.name}" for your video`);
+                }
+            } else if (button.classList.contains('take-edit-btn')) {
+                this.stopPlayback();
+                this.onEditTake(take);
+            } else if (button.classList.contains('take-rename-btn')) {
+                const name = prompt('Enter a name for this take:', take.name);
+                if (name && name.trim()) {
+                    await this.renameTake(id, name.trim());
+                }
+            } else if (button.classList.contains('take-delete-btn')) {
+                if (confirm(`Are you sure you want to delete "${take.name}"?`)) {
+                    await this.deleteTake(id);
+                }
+            }
+        });
+
+        document.getElementById('persist-takes-toggle')?.addEventListener('change', (e) => {
+            this.setPersist(e.target.checked);
+        });
+    }
+
+    // Callbacks to be overridden
+    onActiveTakeChanged(take) { }
+    onEditTake(take) { }
+}
+
+export default TakeManager;
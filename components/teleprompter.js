@@ -0,0 +1,175 @@
+// Teleprompter Component
+// Scrolls a prepared script while recording, either at a fixed speed or
+// paced by the speaker's voice
+import preferences from '../utils/preferences.js';
+import CONFIG from '../config.js';
+
+class Teleprompter {
+    constructor() {
+        this.enabled = preferences.get('teleprompterEnabled', false);
+        this.speed = preferences.get('teleprompterSpeed', CONFIG.TELEPROMPTER.SPEED);
+        this.autoPace = preferences.get('teleprompterAutoPace', false);
+        this.analyser = null;
+        this.samples = null;
+        this.position = 0;
+        this.isRunning = false;
+        this.animationFrame = null;
+        this.lastFrameAt = null;
+    }
+
+    init() {
+        const script = document.getElementById('teleprompter-script');
+        if (script) script.value = preferences.get('teleprompterScript', '');
+
+        const speed = document.getElementById('teleprompter-speed');
+        if (speed) {
+            speed.min = CONFIG.TELEPROMPTER.MIN_SPEED;
+            speed.max = CONFIG.TELEPROMPTER.MAX_SPEED;
+            speed.value = this.speed;
+        }
+
+        const autoPace = document.getElementById('teleprompter-auto-pace');
+        if (autoPace) autoPace.checked = this.autoPace;
+
+        const toggle = document.getElementById('teleprompter-toggle');
+        if (toggle) toggle.checked = this.enabled;
+
+        this.attachEventListeners();
+        this.render();
+    }
+
+    getScript() {
+        return document.getElementById('teleprompter-script')?.value.trim() || '';
+    }
+
+    /**
+     * The script to store with a take, if the teleprompter was used for it
+     */
+    getScriptForTake() {
+        return this.enabled ? this.getScript() || null : null;
+    }
+
+    /**
+     * Start scrolling from the top when a recording starts
+     * @param {AnalyserNode} analyser - The recorder's analyser, used for auto-pacing
+     */
+    start(analyser) {
+        if (!this.enabled || !this.getScript()) return;
+
+        this.analyser = analyser;
+        this.samples = analyser ? new Float32Array(analyser.fftSize) : null;
+        this.position = 0;
+        this.render();
+        this.resume();
+    }
+
+    resume() {
+        if (!this.enabled || this.isRunning || !this.getScript()) return;
+
+        this.isRunning = true;
+        this.lastFrameAt = performance.now();
+
+        const step = (now) => {
+            if (!this.isRunning) return;
+            this.animationFrame = requestAnimationFrame(step);
+
+            const elapsed = (now - this.lastFrameAt) / 1000;
+            this.lastFrameAt = now;
+
+            if (!this.autoPace || this.isSpeaking()) {
+                this.scrollBy(this.speed * elapsed);
+            }
+        };
+
+        this.animationFrame = requestAnimationFrame(step);
+    }
+
+    pause() {
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    stop() {
+        this.pause();
+        this.analyser = null;
+        this.samples = null;
+    }
+
+    /**
+     * Whether the live input is currently above the voice threshold
+     */
+    isSpeaking() {
+        if (!this.analyser) return true;
+
+        this.analyser.getFloatTimeDomainData(this.samples);
+        let sum = 0;
+        for (let i = 0; i < this.samples.length; i++) {
+            sum += this.samples[i] * this.samples[i];
+        }
+        const levelDb = 20 * Math.log10(Math.sqrt(sum / this.samples.length) || 1e-10);
+
+        return levelDb > CONFIG.TELEPROMPTER.VOICE_THRESHOLD_DB;
+    }
+
+    scrollBy(pixels) {
+        const display = document.getElementById('teleprompter-display');
+        if (!display) return;
+
+        const max = display.scrollHeight - display.clientHeight;
+        this.position = Math.max(0, Math.min(max, this.position + pixels));
+        display.scrollTop = this.position;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        preferences.set('teleprompterEnabled', enabled);
+        if (!enabled) this.pause();
+        this.render();
+    }
+
+    render() {
+        document.getElementById('teleprompter')?.classList.toggle('hidden', !this.enabled);
+
+        const display = document.getElementById('teleprompter-text');
+        if (display) {
+            display.textContent = this.getScript() || 'Type your script below and it will scroll here while you record.';
+        }
+
+        const speedValue = document.getElementById('teleprompter-speed-value');
+        if (speedValue) speedValue.textContent = `${this.speed} px/s`;
+    }
+
+    attachEventListeners() {
+        document.getElementById('teleprompter-toggle')?.addEventListener('change', (e) => {
+            this.setEnabled(e.target.checked);
+        });
+
+        document.getElementById('teleprompter-script')?.addEventListener('input', (e) => {
+            preferences.set('teleprompterScript', e.target.value || null);
+            this.render();
+        });
+
+        document.getElementById('teleprompter-speed')?.addEventListener('input', (e) => {
+            this.speed = parseInt(e.target.value);
+            preferences.set('teleprompterSpeed', this.speed);
+            this.render();
+        });
+
+        document.getElementById('teleprompter-auto-pace')?.addEventListener('change', (e) => {
+            this.autoPace = e.target.checked;
+            preferences.set('teleprompterAutoPace', this.autoPace);
+        });
+
+        // Scrolling by hand while reading keeps the teleprompter in step
+        document.getElementById('teleprompter-display')?.addEventListener('wheel', () => {
+            requestAnimationFrame(() => {
+                this.position = document.getElementById('teleprompter-display').scrollTop;
+            });
+        });
+    }
+}
+
+export default Teleprompter;
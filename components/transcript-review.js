@@ -0,0 +1,265 @@
+// Transcript Review Component
+// Shows the AssemblyAI transcript of the active take in step 4 so mis-heard
+// words can be corrected before they are spoken by the avatar
+import assemblyAI from '../services/assemblyai.js';
+import audioConverter from '../utils/audio-converter.js';
+import captions from '../utils/captions.js';
+import apiCache from '../utils/api-cache.js';
+import { describeError } from '../services/api-errors.js';
+import { abortable } from '../utils/abort.js';
+import CONFIG from '../config.js';
+
+class TranscriptReview {
+    constructor(transcriptionSettings) {
+        this.transcriptionSettings = transcriptionSettings;
+        this.audioBlob = null;
+        this.optionsKey = null;
+        this.languageCode = null;
+        this.originalText = null;
+        // Word timestamps from AssemblyAI, used for captions
+        this.words = [];
+        // Speaker turns from AssemblyAI, when speakers are labelled
+        this.utterances = [];
+        this.referenceScript = null;
+        this.transcriptPromise = null;
+        this.textarea = null;
+        this.status = null;
+    }
+
+    init() {
+        this.textarea = document.getElementById('transcript-editor');
+        this.status = document.getElementById('transcript-status');
+        this.attachEventListeners();
+    }
+
+    /**
+     * Transcribe a take for review, unless it already has been with the
+     * current settings. Edits are kept until the audio or settings change.
+     * @param {Blob} audioBlob - The audio used for the video
+     * @returns {Promise<string>} - The original transcript
+     */
+    load(audioBlob) {
+        if (!audioBlob) return Promise.resolve(null);
+
+        const options = this.transcriptionSettings.getOptions();
+        const optionsKey = JSON.stringify(options);
+        if (audioBlob === this.audioBlob && optionsKey === this.optionsKey && this.transcriptPromise) {
+            return this.transcriptPromise;
+        }
+
+        this.audioBlob = audioBlob;
+        this.optionsKey = optionsKey;
+        this.originalText = null;
+        this.languageCode = null;
+        this.words = [];
+        this.utterances = [];
+        this.setText('');
+        this.setLoading(true);
+
+        const isCurrent = () => this.audioBlob === audioBlob && this.optionsKey === optionsKey;
+
+        const promise = this.transcribe(audioBlob, options)
+            .then(({ text, words, utterances, language_code: languageCode }) => {
+                // Ignore results for a take or settings that have since been replaced
+                if (isCurrent()) {
+                    this.originalText = text;
+                    this.languageCode = languageCode || options.languageCode;
+                    this.words = words || [];
+                    this.utterances = utterances || [];
+                    this.setText(text);
+                    this.setLoading(false);
+                    this.onLanguageDetected(this.languageCode);
+                }
+                return text;
+            })
+            .catch(error => {
+                if (isCurrent()) {
+                    this.transcriptPromise = null;
+                    this.setLoading(false, `Transcription failed: ${describeError(error)}`);
+                }
+                throw error;
+            });
+
+        this.transcriptPromise = promise;
+        return promise;
+    }
+
+    /**
+     * Transcribe a recording as 16 kHz mono normalized WAV, falling back
+     * to the original blob if the browser cannot process it. Transcripts are
+     * cached by audio content and options, so identical audio is only sent once.
+     * @param {AbortSignal} [signal] - Cancels the AssemblyAI requests
+     * @returns {Promise<Object>} - The AssemblyAI transcript
+     */
+    async transcribe(audioBlob, options, signal) {
+        const cacheKey = await apiCache.hashBlob(audioBlob)
+            .then(hash => `transcript:${hash}:${JSON.stringify(options)}`)
+            .catch(() => null);
+
+        const cached = cacheKey && await apiCache.get(cacheKey).catch(() => null);
+        if (cached) {
+            console.log('♻️ Using cached transcript');
+            return cached;
+        }
+
+        let transcriptionBlob = audioBlob;
+        try {
+            transcriptionBlob = await audioConverter.prepareForTranscription(audioBlob);
+        } catch (error) {
+            console.warn('⚠️ Audio processing failed, transcribing original recording:', error);
+        }
+
+        const { text, words, utterances, language_code } = await assemblyAI.transcribe(transcriptionBlob, options, signal);
+        const transcript = { text, words, utterances, language_code };
+
+        if (cacheKey) {
+            apiCache.set(cacheKey, transcript, CONFIG.CACHE.TRANSCRIPT_TTL)
+                .catch(error => console.warn('Could not cache transcript:', error));
+        }
+
+        return transcript;
+    }
+
+    /**
+     * The transcript as currently reviewed, if the take has finished transcribing
+     * @param {Blob} audioBlob - The audio used for the video
+     * @returns {{text: string, originalText: string, words: Array<Object>}|null}
+     */
+    getReviewedTranscript(audioBlob) {
+        if (!audioBlob || audioBlob !== this.audioBlob || this.originalText === null) return null;
+
+        const text = this.textarea ? this.textarea.value.trim() : this.originalText;
+        const words = this.isEdited() ? captions.alignWords(this.words, text) : this.words;
+
+        return { text, originalText: this.originalText, words };
+    }
+
+    /**
+     * The transcript for a queued video, without disturbing the editor: shares
+     * the review's transcription when it is for the same take, and otherwise
+     * transcribes the audio directly
+     * @param {Blob} audioBlob - The audio used for the video
+     * @param {AbortSignal} [signal] - Stops waiting; a shared review transcription carries on
+     * @returns {Promise<{text: string, originalText: string, words: Array<Object>}>}
+     */
+    async getTranscript(audioBlob, signal) {
+        if (audioBlob === this.audioBlob && this.transcriptPromise) {
+            await abortable(this.transcriptPromise, signal);
+            const reviewed = this.getReviewedTranscript(audioBlob);
+            if (reviewed) return reviewed;
+        }
+
+        // Cached by now if the review transcribed the same audio
+        const { text, words } = await this.transcribe(audioBlob, this.transcriptionSettings.getOptions(), signal);
+        return { text, originalText: text, words: words || [] };
+    }
+
+    /**
+     * The transcript split into speaker turns. Edits in the transcript editor
+     * aren't carried over, as they can't be matched to a speaker.
+     * @returns {Array<{speaker: string, text: string, start: number, end: number}>}
+     */
+    getTurns() {
+        const turns = [];
+
+        for (const { speaker, text, start, end } of this.utterances) {
+            const previous = turns[turns.length - 1];
+
+            // AssemblyAI can split one speaker's turn at a long pause
+            if (previous?.speaker === speaker) {
+                previous.text = `${previous.text} ${text}`;
+                previous.end = end;
+            } else {
+                turns.push({ speaker, text, start, end });
+            }
+        }
+
+        return turns;
+    }
+
+    getSpeakers() {
+        return [...new Set(this.utterances.map(utterance => utterance.speaker))];
+    }
+
+    isEdited() {
+        return this.originalText !== null && this.textarea?.value.trim() !== this.originalText.trim();
+    }
+
+    /**
+     * The script the speaker read from the teleprompter, offered as a starting point for corrections
+     * @param {string|null} script - The teleprompter script, if any
+     */
+    setReferenceScript(script) {
+        this.referenceScript = script || null;
+        document.getElementById('use-script-transcript-btn')?.classList.toggle('hidden', !this.referenceScript);
+    }
+
+    useReferenceScript() {
+        if (this.referenceScript && this.originalText !== null) {
+            this.setText(this.referenceScript);
+        }
+    }
+
+    revert() {
+        if (this.originalText !== null) {
+            this.setText(this.originalText);
+        }
+    }
+
+    setText(text) {
+        if (this.textarea) {
+            this.textarea.value = text;
+        }
+        this.updateStatus();
+    }
+
+    setLoading(isLoading, message = '') {
+        if (this.textarea) {
+            this.textarea.disabled = isLoading;
+            this.textarea.placeholder = isLoading ? 'Transcribing your voice...' : 'Transcript';
+        }
+        this.updateStatus(message);
+    }
+
+    updateStatus(message = '') {
+        const revertBtn = document.getElementById('revert-transcript-btn');
+        if (revertBtn) revertBtn.disabled = !this.isEdited();
+
+        const retryBtn = document.getElementById('retry-transcript-btn');
+        if (retryBtn) retryBtn.classList.toggle('hidden', !message);
+
+        // A dialogue needs at least two speakers
+        const speakers = this.getSpeakers().length;
+        document.getElementById('assign-speakers-btn')?.classList.toggle('hidden', speakers < 2);
+
+        if (!this.status) return;
+
+        if (message) {
+            this.status.textContent = message;
+        } else if (this.originalText === null) {
+            this.status.textContent = this.audioBlob ? 'Transcribing your voice...' : '';
+        } else {
+            const words = this.textarea?.value.trim().split(/\s+/).filter(Boolean).length || 0;
+            const language = this.transcriptionSettings.getLanguageNameForCode(this.languageCode);
+            this.status.textContent = `${words} words${language ? ` · ${language}` : ''}${speakers > 1 ? ` · ${speakers} speakers` : ''}${this.isEdited() ? ' · Edited' : ''}`;
+        }
+    }
+
+    attachEventListeners() {
+        this.textarea?.addEventListener('input', () => this.updateStatus());
+
+        document.getElementById('revert-transcript-btn')?.addEventListener('click', () => this.revert());
+        document.getElementById('use-script-transcript-btn')?.addEventListener('click', () => this.useReferenceScript());
+
+        document.getElementById('retry-transcript-btn')?.addEventListener('click', () => {
+            this.load(this.audioBlob).catch(error => {
+                console.error('Error transcribing audio:', error);
+            });
+        });
+    }
+
+    // Callbacks to be overridden
+    onLanguageDetected(languageCode) { }
+}
+
+export default TranscriptReview;
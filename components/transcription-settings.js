@@ -0,0 +1,94 @@
+// Transcription Settings Component
+// Language, custom vocabulary and formatting options for AssemblyAI, saved per user
+import preferences from '../utils/preferences.js';
+import CONFIG from '../config.js';
+
+class TranscriptionSettings {
+    constructor() {
+        const defaults = CONFIG.ASSEMBLYAI.TRANSCRIPTION;
+
+        this.options = {
+            languageCode: defaults.LANGUAGE_CODE,
+            punctuate: defaults.PUNCTUATE,
+            formatText: defaults.FORMAT_TEXT,
+            disfluencies: defaults.DISFLUENCIES,
+            wordBoost: defaults.WORD_BOOST,
+            boostParam: defaults.BOOST_PARAM,
+            speakerLabels: defaults.SPEAKER_LABELS,
+            ...preferences.get('transcriptionOptions', {})
+        };
+    }
+
+    init() {
+        this.render();
+        this.attachEventListeners();
+    }
+
+    getOptions() {
+        return { ...this.options, wordBoost: [...this.options.wordBoost] };
+    }
+
+    /**
+     * HeyGen's name for the chosen language, or null when it is detected automatically
+     */
+    getLanguageName() {
+        return this.getLanguageNameForCode(this.options.languageCode);
+    }
+
+    getLanguageNameForCode(code) {
+        if (!code) return null;
+        // AssemblyAI reports regional variants such as en_us
+        return CONFIG.ASSEMBLYAI.LANGUAGES[code.split('_')[0]] || null;
+    }
+
+    setOption(name, value) {
+        this.options[name] = value;
+        preferences.set('transcriptionOptions', this.options);
+        this.onOptionsChanged(this.getOptions());
+    }
+
+    render() {
+        const languageSelect = document.getElementById('transcription-language');
+        if (languageSelect) {
+            languageSelect.innerHTML = '<option value="">Detect automatically</option>' +
+                Object.entries(CONFIG.ASSEMBLYAI.LANGUAGES).map(([code, name]) => `
+            <option value="${code}" ${code === this.options.languageCode ? 'selected' : ''}>${name}</option>
+          `).join('');
+        }
+
+        const vocabulary = document.getElementById('transcription-vocabulary');
+        if (vocabulary) {
+            vocabulary.value = this.options.wordBoost.join(', ');
+        }
+
+        document.querySelectorAll('[data-transcription-option]').forEach(input => {
+            input.checked = !!this.options[input.dataset.transcriptionOption];
+        });
+    }
+
+    attachEventListeners() {
+        document.getElementById('transcription-language')?.addEventListener('change', (e) => {
+            this.setOption('languageCode', e.target.value || null);
+        });
+
+        // 'change' rather than 'input' so a new transcription isn't started on every keystroke
+        document.getElementById('transcription-vocabulary')?.addEventListener('change', (e) => {
+            const words = e.target.value
+                .split(/[,\n]/)
+                .map(word => word.trim())
+                .filter(Boolean);
+            this.setOption('wordBoost', [...new Set(words)]);
+        });
+
+        document.querySelectorAll('[data-transcription-option]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.setOption(input.dataset.transcriptionOption, input.checked);
+            });
+        });
+    }
+
+    // Callbacks to be overridden
+    onOptionsChanged(options) { }
+}
+
+export default TranscriptionSettings;
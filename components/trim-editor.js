@@ -0,0 +1,285 @@
+// Trim Editor Component
+// Trim the ends of a take and cut out flubs without re-recording. Edits always
+// apply to the original audio, so they can be changed or reset later.
+import audioConverter from '../utils/audio-converter.js';
+import { drawPeaks, fitCanvas } from './waveform-visualizer.js';
+import CONFIG from '../config.js';
+
+// Shortest selection that can be cut or trimmed to, in seconds
+const MIN_SELECTION_SECONDS = 0.05;
+
+class TrimEditor {
+    constructor() {
+        this.take = null;
+        this.buffer = null;
+        this.peaks = null;
+        this.edits = null;
+        this.history = [];
+        this.selection = null;
+        this.dragging = null;
+        this.audioContext = null;
+        this.previewSource = null;
+    }
+
+    init() {
+        this.attachEventListeners();
+    }
+
+    /**
+     * Open the editor on a take, starting from its current edits
+     * @param {Object} take - The take to edit
+     */
+    async open(take) {
+        try {
+            this.buffer = await audioConverter.decodeAudio(take.originalBlob || take.blob);
+        } catch (error) {
+            console.error('Error decoding take for editing:', error);
+            if (window.toast) {
+                window.toast.error('Could not open this take for editing');
+            }
+            return;
+        }
+
+        const duration = this.buffer.duration;
+        this.take = take;
+        this.peaks = audioConverter.computePeaks(this.buffer, CONFIG.TAKES.WAVEFORM_BARS);
+        this.edits = take.edits
+            ? { ...take.edits, cuts: take.edits.cuts.map(cut => [...cut]) }
+            : { start: 0, end: duration, cuts: [] };
+        this.history = [];
+        this.selection = { start: this.edits.start, end: this.edits.end };
+
+        document.getElementById('trim-take-name').textContent = take.name;
+        document.getElementById('trim-editor-modal')?.classList.add('active');
+        this.render();
+    }
+
+    close() {
+        this.stopPreview();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        this.take = null;
+        this.buffer = null;
+        document.getElementById('trim-editor-modal')?.classList.remove('active');
+    }
+
+    isEdited() {
+        const { start, end, cuts } = this.edits;
+        return start > 0 || end < this.buffer.duration || cuts.length > 0;
+    }
+
+    pushHistory() {
+        this.history.push({ ...this.edits, cuts: this.edits.cuts.map(cut => [...cut]) });
+    }
+
+    trimToSelection() {
+        if (!this.hasSelection()) return;
+
+        this.pushHistory();
+        this.edits.start = this.selection.start;
+        this.edits.end = this.selection.end;
+        this.edits.cuts = this.edits.cuts.filter(([start, end]) =>
+            end > this.edits.start && start < this.edits.end
+        );
+        this.render();
+    }
+
+    cutSelection() {
+        if (!this.hasSelection()) return;
+
+        this.pushHistory();
+        this.edits.cuts.push([this.selection.start, this.selection.end]);
+        this.selection = null;
+        this.render();
+    }
+
+    undo() {
+        if (!this.history.length) return;
+
+        this.edits = this.history.pop();
+        this.render();
+    }
+
+    reset() {
+        this.pushHistory();
+        this.edits = { start: 0, end: this.buffer.duration, cuts: [] };
+        this.selection = { start: 0, end: this.buffer.duration };
+        this.render();
+    }
+
+    hasSelection() {
+        return this.selection && this.selection.end - this.selection.start >= MIN_SELECTION_SECONDS;
+    }
+
+    /**
+     * Play the result of the current edits, or only the selection
+     * @param {boolean} selectionOnly - Play the selected region of the original
+     */
+    preview(selectionOnly = false) {
+        this.stopPreview();
+
+        const edits = selectionOnly && this.hasSelection()
+            ? { start: this.selection.start, end: this.selection.end, cuts: [] }
+            : this.edits;
+        const buffer = audioConverter.applyEditsToBuffer(this.buffer, edits);
+
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+
+        this.previewSource = this.audioContext.createBufferSource();
+        this.previewSource.buffer = buffer;
+        this.previewSource.connect(this.audioContext.destination);
+        this.previewSource.onended = () => {
+            this.previewSource = null;
+        };
+        this.previewSource.start();
+    }
+
+    stopPreview() {
+        if (this.previewSource) {
+            this.previewSource.onended = null;
+            this.previewSource.stop();
+            this.previewSource = null;
+        }
+    }
+
+    apply() {
+        if (audioConverter.getKeptDuration(this.buffer.duration, this.edits) < CONFIG.TAKES.MIN_DURATION) return;
+
+        const take = this.take;
+        const edits = this.isEdited() ? this.edits : null;
+        this.close();
+        this.onApply(take, edits);
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+
+    render() {
+        if (!this.buffer) return;
+
+        const duration = this.buffer.duration;
+        const percent = (time) => `${(time / duration) * 100}%`;
+
+        const canvas = document.getElementById('trim-waveform');
+        if (canvas) {
+            fitCanvas(canvas);
+            drawPeaks(canvas, this.peaks, { barWidth: 2, gap: 1 });
+        }
+
+        // Dim everything that will be removed
+        const removed = [
+            [0, this.edits.start],
+            [this.edits.end, duration],
+            ...this.edits.cuts
+        ].filter(([start, end]) => end > start);
+
+        const regions = document.getElementById('trim-removed-regions');
+        if (regions) {
+            regions.innerHTML = removed.map(([start, end]) => `
+        <div class="trim-removed" style="left: ${percent(start)}; width: ${percent(end - start)};"></div>
+      `).join('');
+        }
+
+        const selection = document.getElementById('trim-selection');
+        if (selection) {
+            selection.classList.toggle('hidden', !this.selection);
+            if (this.selection) {
+                selection.style.left = percent(this.selection.start);
+                selection.style.width = percent(this.selection.end - this.selection.start);
+            }
+        }
+
+        const kept = audioConverter.getKeptDuration(duration, this.edits);
+        const tooShort = kept < CONFIG.TAKES.MIN_DURATION;
+
+        const info = document.getElementById('trim-info');
+        if (info) {
+            info.textContent = (this.selection
+                ? `Selection ${this.formatTime(this.selection.start)} – ${this.formatTime(this.selection.end)} · Result ${this.formatTime(kept)} of ${this.formatTime(duration)}`
+                : `Result ${this.formatTime(kept)} of ${this.formatTime(duration)}`) +
+                (tooShort ? ' · Too short to keep' : '');
+        }
+
+        const hasSelection = this.hasSelection();
+        document.getElementById('trim-to-selection-btn').disabled = !hasSelection;
+        document.getElementById('cut-selection-btn').disabled = !hasSelection;
+        document.getElementById('preview-selection-btn').disabled = !hasSelection;
+        document.getElementById('trim-undo-btn').disabled = !this.history.length;
+        // Edits that remove (nearly) all of the take can't be applied
+        document.getElementById('apply-trim-btn').disabled = tooShort;
+    }
+
+    /**
+     * Time in seconds under a pointer event on the timeline
+     */
+    timeAt(event) {
+        const rect = document.getElementById('trim-timeline').getBoundingClientRect();
+        const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        return ratio * this.buffer.duration;
+    }
+
+    attachEventListeners() {
+        const timeline = document.getElementById('trim-timeline');
+
+        // Drag a handle to adjust the selection, or drag anywhere else to start a new one
+        timeline?.addEventListener('pointerdown', (e) => {
+            if (!this.buffer) return;
+
+            const handle = e.target.closest('[data-handle]')?.dataset.handle;
+            const time = this.timeAt(e);
+
+            if (handle && this.selection) {
+                this.dragging = { handle, anchor: handle === 'start' ? this.selection.end : this.selection.start };
+            } else {
+                this.dragging = { handle: 'end', anchor: time };
+                this.selection = { start: time, end: time };
+            }
+
+            timeline.setPointerCapture(e.pointerId);
+            this.render();
+        });
+
+        timeline?.addEventListener('pointermove', (e) => {
+            if (!this.dragging) return;
+
+            const time = this.timeAt(e);
+            this.selection = {
+                start: Math.min(time, this.dragging.anchor),
+                end: Math.max(time, this.dragging.anchor)
+            };
+            this.render();
+        });
+
+        const endDrag = () => {
+            if (!this.dragging) return;
+
+            this.dragging = null;
+            if (!this.hasSelection()) this.selection = null;
+            this.render();
+        };
+        timeline?.addEventListener('pointerup', endDrag);
+        timeline?.addEventListener('pointercancel', endDrag);
+
+        document.getElementById('trim-to-selection-btn')?.addEventListener('click', () => this.trimToSelection());
+        document.getElementById('cut-selection-btn')?.addEventListener('click', () => this.cutSelection());
+        document.getElementById('trim-undo-btn')?.addEventListener('click', () => this.undo());
+        document.getElementById('trim-reset-btn')?.addEventListener('click', () => this.reset());
+        document.getElementById('preview-selection-btn')?.addEventListener('click', () => this.preview(true));
+        document.getElementById('preview-edit-btn')?.addEventListener('click', () => this.preview());
+        document.getElementById('apply-trim-btn')?.addEventListener('click', () => this.apply());
+        document.getElementById('cancel-trim-btn')?.addEventListener('click', () => this.close());
+        document.getElementById('close-trim-modal')?.addEventListener('click', () => this.close());
+    }
+
+    // Callbacks to be overridden
+    onApply(take, edits) { }
+}
+
+export default TrimEditor;
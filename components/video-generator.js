@@ -1,166 +1,478 @@
 // Video Generator Component
-import assemblyAI from '../services/assemblyai.js';
+// Each video is queued as a background job: transcribe → upload → create → poll.
+// A video is one or more scenes, each with its own avatar, voice, audio and background.
 import heyGen from '../services/heygen.js';
-import LoadingModal from './loading-modal.js';
 import audioConverter from '../utils/audio-converter.js';
 import videoHistoryManager from '../utils/video-history.js';
+import apiCache from '../utils/api-cache.js';
+import preferences from '../utils/preferences.js';
+import JobQueue from '../utils/job-queue.js';
+import { AuthError } from '../services/api-errors.js';
+import { isAbortError, throwIfAborted, sleep } from '../utils/abort.js';
+import CONFIG from '../config.js';
 
 class VideoGenerator {
-    constructor(recorder, avatarSelector, voiceSelector, characterManager) {
-        this.recorder = recorder;
+    constructor(takeManager, avatarSelector, voiceSelector, characterManager, transcriptReview, outputFormat, backgroundPicker, voiceTuning) {
+        this.takeManager = takeManager;
+        this.transcriptReview = transcriptReview;
         this.avatarSelector = avatarSelector;
         this.voiceSelector = voiceSelector;
         this.characterManager = characterManager;
-        this.loadingModal = new LoadingModal();
+        this.outputFormat = outputFormat;
+        this.backgroundPicker = backgroundPicker;
+        this.voiceTuning = voiceTuning;
         this.currentVideoUrl = null;
         this.currentVideoId = null;
+        this.historyReady = null;
+
+        this.queue = new JobQueue({
+            run: (job, context) => this.runJob(job, context),
+            concurrency: preferences.get('jobConcurrency', CONFIG.JOBS.CONCURRENCY)
+        });
+        this.queue.onJobUpdated = (job) => this.onJobUpdated(job);
+        this.queue.onJobFinished = (job) => this.handleJobFinished(job);
     }
 
     async init() {
-        this.loadingModal.init();
         // Initialize video history database
-        await videoHistoryManager.init();
+        this.historyReady = videoHistoryManager.init();
+        await this.historyReady;
     }
 
-    async generateVideo() {
-        try {
-            // Validate inputs
-            const validation = this.validate();
-            if (!validation.valid) {
-                alert(validation.message);
-                return;
-            }
+    /**
+     * Queue a video with the current selections
+     * @param {Object} options - { script } to speak typed text instead of a recording
+     * @returns {Object|null} - The queued job, or null if something is missing
+     */
+    generateVideo({ script = null } = {}) {
+        const scene = this.captureScene({ script });
+        return scene ? this.queueVideo([scene]) : null;
+    }
 
-            this.loadingModal.show('Starting...');
+    /**
+     * Queue a video made of several scenes, played in order
+     * @param {Array<Object>} scenes - Scenes from captureScene
+     * @returns {Object|null} - The queued job, or null if the storyboard can't be rendered
+     */
+    generateStoryboard(scenes) {
+        if (scenes.length === 0) {
+            alert('Please add at least one scene to the storyboard');
+            return null;
+        }
+
+        if (scenes.length > CONFIG.STORYBOARD.MAX_SCENES) {
+            alert(`A video can have at most ${CONFIG.STORYBOARD.MAX_SCENES} scenes`);
+            return null;
+        }
 
-            // Get audio blob
-            const audioBlob = this.recorder.getAudioBlob();
+        return this.queueVideo(scenes);
+    }
 
-            // Get voice selection to determine workflow
-            const voiceSelection = this.voiceSelector.getSelectedVoice();
+    /**
+     * Capture the current selections as a scene. Everything a video needs is
+     * captured now, so the wizard can be changed while it is queued or runs.
+     * @param {Object} options - { script } to speak typed text instead of a recording
+     * @returns {Object|null} - The scene, or null if something is missing
+     */
+    captureScene({ script = null } = {}) {
+        // Validate inputs
+        const validation = this.validate({ script });
+        if (!validation.valid) {
+            alert(validation.message);
+            return null;
+        }
 
-            let transcript = null;
-            let voiceConfig;
+        const audioBlob = script ? null : this.takeManager.getAudioBlob();
 
-            // Step 1: Handle voice configuration based on selection
-            if (voiceSelection.type === 'preset') {
-                // PRESET VOICE: Transcribe audio to get text, then use AI voice
-                this.loadingModal.showTranscribing();
-                transcript = await assemblyAI.getTranscript(audioBlob);
+        // Typed scripts are already text, so AssemblyAI is skipped. For recordings the
+        // reviewed transcript is used if it's ready, otherwise the job transcribes.
+        const transcript = script
+            ? { text: script, originalText: null, words: [] }
+            : this.transcriptReview.getReviewedTranscript(audioBlob);
+
+        if (transcript && !transcript.text) {
+            alert('The transcript is empty. Please review it before generating.');
+            return null;
+        }
+
+        const voiceSelection = this.voiceSelector.getSelectedVoice();
+
+        return this.createScene({
+            avatar: this.avatarSelector.getSelectedAvatar(),
+            character: this.characterManager.getSelectedCharacter(),
+            voiceSelection,
+            voiceSettings: voiceSelection.type === 'preset' ? this.voiceTuning.getSettings(voiceSelection.voice) : null,
+            voiceProfileName: this.voiceTuning.getProfileName(),
+            audioBlob,
+            transcript
+        });
+    }
+
+    /**
+     * Build a scene for an avatar or character, with the current background
+     * @param {Object} options - { avatar, character, voiceSelection, voiceSettings, voiceProfileName, audioBlob, transcript }
+     * @param {Object} options.voiceSettings - { speed, pitch, emotion } for preset voices, or null for the voice's defaults
+     * @returns {Object} - The scene
+     */
+    createScene({ avatar = null, character = null, voiceSelection, voiceSettings = null, voiceProfileName = null, audioBlob = null, transcript }) {
+        let characterConfig;
+        let avatarName = '';
+        if (character) {
+            // Use custom character
+            characterConfig = {
+                type: 'photo',
+                photo_id: character.heygenId
+            };
+            avatarName = character.name || 'Custom Character';
+        } else if (avatar) {
+            // Use preset avatar
+            characterConfig = {
+                type: 'avatar',
+                avatar_id: avatar.avatar_id,
+                avatar_style: avatar.avatar_style || 'normal'
+            };
+            avatarName = avatar.avatar_name || avatar.avatar_id;
+        }
+
+        const voiceName = voiceSelection.type === 'preset'
+            ? voiceSelection.voice.display_name || voiceSelection.voice.name
+            : 'Custom Voice';
+
+        return {
+            audioBlob,
+            transcript,
+            voiceSelection,
+            voiceSettings,
+            // Only recorded when the settings are in use
+            voiceProfileName: voiceSettings ? voiceProfileName : null,
+            characterConfig,
+            background: this.backgroundPicker.getBackgroundConfig(),
+            // Shown in storyboard previews
+            image: character ? character.imageBlob : avatar.preview_image_url || null,
+            backgroundPreview: this.backgroundPicker.getPreview(),
+            avatarId: avatar?.avatar_id || character?.heygenId,
+            avatarName: avatarName,
+            voiceName: voiceName,
+            backgroundName: this.backgroundPicker.getLabel()
+        };
+    }
+
+    /**
+     * Queue a video job for one or more scenes
+     * @param {Array<Object>} scenes - Scenes from captureScene
+     * @returns {Object|null} - The queued job, or null if the output format doesn't suit the characters
+     */
+    queueVideo(scenes) {
+        // Talking photos and avatars support different output sizes
+        const hasPhoto = scenes.some(scene => scene.characterConfig.type === 'photo');
+        const format = this.outputFormat.validate(hasPhoto ? 'photo' : 'avatar');
+        if (!format.valid) {
+            alert(format.message);
+            return null;
+        }
 
-                voiceConfig = {
-                    type: 'text',
-                    voice_id: voiceSelection.voice.voice_id
-                };
+        const unique = values => [...new Set(values)].join(', ');
+        const avatarName = unique(scenes.map(scene => scene.avatarName));
+        const voiceName = unique(scenes.map(scene => scene.voiceName));
+        const voiceTypes = new Set(scenes.map(scene => scene.voiceSelection.type));
+
+        const job = this.queue.add({
+            label: scenes.length > 1 ? `Storyboard · ${scenes.length} scenes` : `${avatarName} · ${voiceName}`,
+            stages: ['transcribe', 'upload', 'create', 'poll'],
+            data: {
+                // Copied so the storyboard can be rearranged while the job runs
+                scenes: [...scenes],
+                outputFormat: this.outputFormat.getDimensions(),
+                history: {
+                    avatarId: scenes[0].avatarId,
+                    avatarName: avatarName,
+                    voiceType: voiceTypes.size > 1 ? 'mixed' : scenes[0].voiceSelection.type,
+                    voiceName: voiceName,
+                    // Storyboards record tuning per scene
+                    voiceSettings: scenes.length === 1 ? scenes[0].voiceSettings : null,
+                    voiceProfileName: scenes.length === 1 ? scenes[0].voiceProfileName : null,
+                    backgroundName: unique(scenes.map(scene => scene.backgroundName))
+                }
+            }
+        });
+
+        console.log('📋 Video queued as job', job.id, `(${scenes.length} scene${scenes.length === 1 ? '' : 's'})`);
+        return job;
+    }
+
+    /**
+     * Run a queued video job
+     * @param {Object} job - The job, with the scenes captured by captureScene in job.data
+     * @param {Object} context - { signal, startStage, skipStage, setProgress } from the queue
+     * @returns {Promise<{videoId: string, videoUrl: string}>}
+     */
+    async runJob(job, { signal, startStage, skipStage, setProgress }) {
+        const { scenes, outputFormat } = job.data;
+        const isStoryboard = scenes.length > 1;
+        const transcripts = scenes.map(scene => scene.transcript);
+        // Storyboard progress names the scene being worked on
+        const sceneProgress = index => message => setProgress(isStoryboard ? `Scene ${index + 1}: ${message}` : message);
+
+        // Filled in as the job progresses, so a cancelled job can be recorded in history
+        const entry = this.createHistoryEntry(job);
+
+        try {
+            // Stage 1: Every scene needs its transcript: preset voices speak it,
+            // and talking photos need it for lip sync with custom audio
+            if (transcripts.every(Boolean)) {
+                skipStage('transcribe');
             } else {
-                // CUSTOM VOICE: Need to upload audio AND get transcript
-                // For talking photos, HeyGen needs BOTH audio and text for lip sync
-
-                // First, transcribe the audio to get text for lip sync
-                this.loadingModal.showTranscribing();
-                transcript = await assemblyAI.getTranscript(audioBlob);
-
-                // Then convert and upload the audio
-                this.loadingModal.show('Converting audio...');
-                try {
-                    // Convert WebM to WAV format (HeyGen compatible)
-                    const wavBlob = await audioConverter.convertWebMToMP3(audioBlob);
-
-                    this.loadingModal.showUploading();
-                    const uploadedAudio = await heyGen.uploadAsset(wavBlob, 'audio');
-                    voiceConfig = {
-                        type: 'audio',
-                        audio_asset_id: uploadedAudio.id
-                    };
-                } catch (uploadError) {
-                    // Check if it's a CORS error
-                    if (uploadError.message.includes('fetch') || uploadError.message.includes('CORS')) {
-                        throw new Error('CORS Error: Cannot upload audio from localhost. Please deploy to a server or use HeyGen API with proper CORS configuration.');
-                    }
-                    throw uploadError;
+                startStage('transcribe');
+                for (const [index, scene] of scenes.entries()) {
+                    if (transcripts[index]) continue;
+
+                    if (isStoryboard) sceneProgress(index)('Transcribing...');
+                    transcripts[index] = await this.transcribe(scene.audioBlob, signal);
                 }
             }
+            entry.transcript = this.joinTranscripts(transcripts);
+
+            // Stage 2: Handle voice configuration based on each scene's selection
+            if (scenes.every(scene => scene.voiceSelection.type === 'preset')) {
+                skipStage('upload');
+            } else {
+                startStage('upload');
+            }
 
-            // Step 2: Get avatar/character configuration
-            const avatar = this.avatarSelector.getSelectedAvatar();
-            const character = this.characterManager.getSelectedCharacter();
-
-            let characterConfig;
-            let avatarName = '';
-            if (character) {
-                // Use custom character
-                characterConfig = {
-                    type: 'photo',
-                    photo_id: character.heygenId
-                };
-                avatarName = character.name || 'Custom Character';
-            } else if (avatar) {
-                // Use preset avatar
-                characterConfig = {
-                    type: 'avatar',
-                    avatar_id: avatar.avatar_id,
-                    avatar_style: avatar.avatar_style || 'normal'
-                };
-                avatarName = avatar.avatar_name || avatar.avatar_id;
+            const voiceConfigs = [];
+            for (const [index, { voiceSelection, voiceSettings, audioBlob }] of scenes.entries()) {
+                if (voiceSelection.type === 'preset') {
+                    // PRESET VOICE: Use an AI voice to speak the transcript
+                    voiceConfigs.push({
+                        type: 'text',
+                        voice_id: voiceSelection.voice.voice_id,
+                        settings: voiceSettings
+                    });
+                } else {
+                    // CUSTOM VOICE: Convert and upload the recorded audio.
+                    // CORS failures surface as a NetworkError, described when the error is shown.
+                    voiceConfigs.push({
+                        type: 'audio',
+                        audio_asset_id: await this.uploadAudio(audioBlob, { signal, setProgress: sceneProgress(index) })
+                    });
+                }
             }
 
-            // Step 3: Create video
-            this.loadingModal.showGenerating();
+            // Stage 3: Create video
+            startStage('create');
+            const videoScenes = scenes.map((scene, index) => ({
+                character: scene.characterConfig,
+                voice: voiceConfigs[index],
+                text: transcripts[index].text,
+                background: scene.background
+            }));
             console.log('🎬 Creating video with configuration:', {
-                character: characterConfig,
-                voice: voiceConfig,
-                hasTranscript: !!transcript
+                scenes: videoScenes,
+                outputFormat
             });
 
             const videoId = await heyGen.createVideo({
-                character: characterConfig,
-                voice: voiceConfig,
-                text: transcript // Will be null for custom voice (audio-based), or transcript for preset voice
-            });
+                scenes: videoScenes,
+                dimension: { width: outputFormat.width, height: outputFormat.height },
+                aspectRatio: outputFormat.aspectRatio
+            }, signal);
+            entry.videoId = videoId;
 
             console.log('✅ Video creation initiated! Video ID:', videoId);
 
             // Save to history immediately with processing status
-            this.currentVideoId = videoId;
-            console.log('💾 Saving video to history...');
-
             await videoHistoryManager.addVideo({
-                videoId: videoId,
+                ...entry,
                 status: 'processing',
-                avatarId: avatar?.avatar_id || character?.heygenId,
-                avatarName: avatarName,
-                voiceType: voiceSelection.type,
-                voiceName: voiceSelection.type === 'preset' ? voiceSelection.voice.voice_name : 'Custom Voice',
-                transcript: transcript
+                // Word timings only line up with the video when there is a single scene
+                ...(isStoryboard ? {
+                    scenes: scenes.map((scene, index) => ({
+                        avatarName: scene.avatarName,
+                        voiceName: scene.voiceName,
+                        voiceSettings: scene.voiceSettings,
+                        backgroundName: scene.backgroundName,
+                        transcript: transcripts[index].text
+                    }))
+                } : {
+                    originalTranscript: transcripts[0].originalText,
+                    words: transcripts[0].words
+                })
             });
 
-            console.log('✅ Video saved to history database');
-
-            // Step 4: Wait for video completion with improved polling
-            console.log('⏳ Starting video status polling...');
-            const videoUrl = await this.waitForVideoWithHistory(videoId);
+            // Stage 4: Wait for video completion
+            startStage('poll');
+            const videoUrl = await this.waitForVideoWithHistory(videoId, {
+                signal,
+                onProgress: seconds => setProgress(`Rendering... (${seconds}s)`)
+            });
 
             console.log('🎉 Video generation complete! URL:', videoUrl);
+            return { videoId, videoUrl };
+        } catch (error) {
+            if (isAbortError(error)) {
+                console.log('🛑 Video generation cancelled');
+                await this.recordCancelledJob(entry);
+            } else {
+                console.error('❌ Error generating video:', error);
+                console.error('Error details:', {
+                    message: error.message,
+                    requestId: error.requestId,
+                    stack: error.stack
+                });
+            }
+            throw error;
+        }
+    }
 
-            // Step 5: Display video
-            this.displayVideo(videoUrl, videoId);
-            this.loadingModal.showComplete();
+    /**
+     * The history entry for a job, before its video is created
+     * @param {Object} job - A job queued by queueVideo
+     * @returns {Object}
+     */
+    createHistoryEntry(job) {
+        const { scenes, outputFormat, history } = job.data;
+        return {
+            ...history,
+            outputFormat,
+            videoId: null,
+            transcript: this.joinTranscripts(scenes.map(scene => scene.transcript))
+        };
+    }
+
+    async handleJobFinished(job) {
+        // Jobs cancelled while queued never reach runJob, which records the others
+        if (job.status === 'cancelled' && !job.startedAt) {
+            console.log('🛑 Queued video cancelled');
+            await this.recordCancelledJob(this.createHistoryEntry(job));
+        }
+
+        this.onJobFinished(job);
+    }
 
-            console.log('✅ Video displayed in modal');
+    // The full text of a video, one paragraph per scene
+    joinTranscripts(transcripts) {
+        return transcripts.map(transcript => transcript?.text).filter(Boolean).join('\n\n') || null;
+    }
 
+    /**
+     * Cancel a queued or running video. HeyGen keeps rendering a video that
+     * was already submitted, but it is no longer polled.
+     * @param {number} jobId - The job ID
+     */
+    cancelJob(jobId) {
+        this.queue.cancel(jobId);
+    }
+
+    setConcurrency(concurrency) {
+        this.queue.setConcurrency(concurrency);
+        preferences.set('jobConcurrency', concurrency);
+    }
+
+    /**
+     * Resume polling videos that were still processing when the page was closed.
+     * Polling runs in the background; completion is reported through the callbacks.
+     * @returns {Promise<number>} - How many videos are being resumed
+     */
+    async resumeProcessingVideos() {
+        await this.historyReady;
+
+        const videos = (await videoHistoryManager.getVideosByStatus('processing'))
+            .filter(video => video.videoId);
+
+        videos.forEach(video => this.resumeVideo(video));
+        return videos.length;
+    }
+
+    async resumeVideo(video) {
+        console.log('🔄 Resuming video status polling:', video.videoId);
+
+        // Polling stops as long after the video was created as a new video is given to render,
+        // so one HeyGen never finishes isn't polled again on every reload
+        const deadline = new Date(video.createdAt).getTime() + CONFIG.VIDEO.MAX_POLL_ATTEMPTS * CONFIG.VIDEO.POLL_INTERVAL;
+
+        try {
+            const videoUrl = await this.waitForVideoWithHistory(video.videoId, { deadline });
+            this.onResumedVideoComplete({ ...video, status: 'completed', videoUrl });
         } catch (error) {
-            console.error('❌ Error generating video:', error);
-            console.error('Error details:', {
-                message: error.message,
-                stack: error.stack
-            });
-            this.loadingModal.showError(error.message || 'Failed to generate video');
+            if (error instanceof AuthError) {
+                // Leave it processing so it is picked up again once the API key works
+                console.warn('⚠️ Could not resume video, API key rejected:', video.videoId);
+                return;
+            }
+
+            // HeyGen reported the video failed, no longer knows about it, or took too long
+            console.error('❌ Resumed video failed:', video.videoId, error);
+            await videoHistoryManager.updateVideo(video.videoId, { status: 'failed' })
+                .catch(updateError => console.warn('Could not update video history:', updateError));
+            this.onResumedVideoFailed({ ...video, status: 'failed' }, error);
         }
     }
 
-    validate() {
-        // Check if audio is recorded
-        if (!this.recorder.getAudioBlob()) {
+    /**
+     * Keep a cancelled job in history, updating its entry if the video was already created
+     * @param {Object} job - What was known about the job when it was cancelled
+     */
+    async recordCancelledJob(job) {
+        try {
+            if (job.videoId) {
+                await videoHistoryManager.updateVideo(job.videoId, { status: 'cancelled' });
+            } else {
+                await videoHistoryManager.addVideo({ ...job, status: 'cancelled' });
+            }
+        } catch (error) {
+            console.warn('Could not record cancelled video in history:', error);
+        }
+    }
+
+    /**
+     * The transcript for a video queued before its take finished transcribing
+     * @returns {Promise<{text: string, originalText: string, words: Array<Object>}>}
+     */
+    async transcribe(audioBlob, signal) {
+        const transcript = await this.transcriptReview.getTranscript(audioBlob, signal);
+        if (!transcript.text) {
+            throw new Error('The transcript is empty. Please review it before generating.');
+        }
+
+        return transcript;
+    }
+
+    /**
+     * Convert a take to MP3 or WAV (HeyGen compatible) and upload it, reusing
+     * the asset from an earlier upload of the same audio
+     * @param {Object} options - { signal, setProgress } from the job
+     * @returns {Promise<string>} - The HeyGen audio asset ID
+     */
+    async uploadAudio(audioBlob, { signal, setProgress = () => { } } = {}) {
+        const format = CONFIG.RECORDING.UPLOAD_FORMAT;
+        const cacheKey = await apiCache.hashBlob(audioBlob)
+            .then(hash => `heygen-audio:${format}:${hash}`)
+            .catch(() => null);
+
+        const cachedId = cacheKey && await apiCache.get(cacheKey).catch(() => null);
+        if (cachedId) {
+            console.log('♻️ Reusing uploaded audio asset:', cachedId);
+            return cachedId;
+        }
+
+        setProgress('Converting audio...');
+        const uploadBlob = await audioConverter.convertForUpload(audioBlob, format);
+        throwIfAborted(signal);
+
+        setProgress('Uploading audio...');
+        const uploadedAudio = await heyGen.uploadAsset(uploadBlob, 'audio', signal);
+
+        if (cacheKey) {
+            apiCache.set(cacheKey, uploadedAudio.id, CONFIG.CACHE.AUDIO_ASSET_TTL)
+                .catch(error => console.warn('Could not cache audio asset:', error));
+        }
+
+        return uploadedAudio.id;
+    }
+
+    validate({ script = null } = {}) {
+        // Check if audio is recorded or a script written
+        if (!script && !this.takeManager.getAudioBlob()) {
             return { valid: false, message: 'Please record your voice first' };
         }
 
@@ -178,22 +490,34 @@ class VideoGenerator {
             return { valid: false, message: 'Please select a voice option' };
         }
 
+        if (script && voice.type !== 'preset') {
+            return { valid: false, message: 'Please select a preset voice to speak your script' };
+        }
+
         return { valid: true };
     }
 
     /**
      * Wait for video completion with history updates
-     * Polls indefinitely until video is complete or fails
+     * Polls until video is complete, fails, the deadline passes or the signal is aborted
+     * @param {string} videoId - The HeyGen video ID
+     * @param {Object} options - { signal, onProgress, deadline } where onProgress receives the seconds waited so far
+     * @param {number} options.deadline - Timestamp after which to give up, or null to poll until the video finishes
      */
-    async waitForVideoWithHistory(videoId) {
+    async waitForVideoWithHistory(videoId, { signal, onProgress, deadline = null } = {}) {
         let attempts = 0;
         const pollInterval = 3000; // 3 seconds
 
         console.log('⏳ Waiting for video to complete...');
 
         while (true) {
+            // Give up past the deadline, but only after one check in case it finished while the page was closed
+            if (deadline && attempts > 0 && Date.now() >= deadline) {
+                throw new Error('Video generation timeout');
+            }
+
             try {
-                const status = await heyGen.getVideoStatus(videoId);
+                const status = await heyGen.getVideoStatus(videoId, signal);
 
                 console.log(`📊 Video status: ${status.status} (attempt ${attempts + 1})`);
 
@@ -219,21 +543,22 @@ class VideoGenerator {
                     throw new Error('Video generation failed');
                 }
 
-                // Update loading modal with progress
-                this.loadingModal.show(`Generating video... (${attempts * 3}s)`);
+                // Report progress (e.g. to the loading modal)
+                onProgress?.(attempts * 3);
 
                 // Wait before next poll
-                await new Promise(resolve => setTimeout(resolve, pollInterval));
+                await sleep(pollInterval, signal);
                 attempts++;
 
             } catch (error) {
-                if (error.message === 'Video generation failed') {
+                // The video failed, or the request can't succeed (e.g. a rejected API key)
+                if (!error.retryable) {
                     throw error;
                 }
 
-                // Network error - keep trying
+                // Network, rate limit or server error that outlasted the client's retries - keep trying
                 console.warn('⚠️ Error checking status, retrying...', error.message);
-                await new Promise(resolve => setTimeout(resolve, pollInterval));
+                await sleep(pollInterval, signal);
                 attempts++;
             }
         }
@@ -259,6 +584,12 @@ class VideoGenerator {
         a.click();
         document.body.removeChild(a);
     }
+
+    // Callbacks to be overridden
+    onJobUpdated(job) { }
+    onJobFinished(job) { }
+    onResumedVideoComplete(video) { }
+    onResumedVideoFailed(video, error) { }
 }
 
 export default VideoGenerator;
@@ -6,11 +6,20 @@ class VoiceSelector {
         this.voices = [];
         this.selectedVoice = null;
         this.useCustomVoice = false;
+        // "Use My Voice" needs a recording; typed scripts can only use preset voices
+        this.customVoiceAvailable = true;
+        // Spoken language (HeyGen's name for it), used to narrow down preset voices
+        this.language = null;
+        this.filterByLanguage = true;
     }
 
     async init() {
-        await this.loadPresetVoices();
-        this.render();
+        try {
+            await this.loadPresetVoices();
+        } finally {
+            // Shows "No voices available" if loading failed
+            this.render();
+        }
         // Event listeners will be attached from app.js after all components are initialized
     }
 
@@ -20,6 +29,8 @@ class VoiceSelector {
         } catch (error) {
             console.error('Error loading preset voices:', error);
             this.voices = [];
+            // Reported by the app, which knows what still works without them
+            throw error;
         }
     }
 
@@ -63,6 +74,7 @@ class VoiceSelector {
         this.selectedVoice = voice;
         this.useCustomVoice = false;
         this.render();
+        this.onVoiceChanged(voice);
 
         const nextBtn = document.getElementById('next-to-generate');
         if (nextBtn) {
@@ -70,14 +82,49 @@ class VoiceSelector {
             console.log('Next button enabled for preset voice');
         }
 
+        // No auto-advance, so the voice can be tuned in this step first
         if (window.toast) {
-            window.toast.success(`Voice "${voice.display_name || voice.name}" selected!`);
+            window.toast.success(`Voice "${voice.display_name || voice.name}" selected! Tune it below or click Next.`);
         }
+    }
 
-        setTimeout(() => {
-            console.log('Auto-advancing with preset voice');
-            if (window.app) window.app.goToStep(4);
-        }, 800);
+    setCustomVoiceAvailable(available) {
+        this.customVoiceAvailable = available;
+        if (!available && this.useCustomVoice) {
+            this.useCustomVoice = false;
+            const nextBtn = document.getElementById('next-to-generate');
+            if (nextBtn && !this.selectedVoice) {
+                nextBtn.disabled = true;
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Show only voices for the language that was spoken or chosen for transcription
+     * @param {string|null} language - HeyGen language name, e.g. "Spanish"
+     */
+    setLanguage(language) {
+        if (language === this.language) return;
+
+        this.language = language;
+        this.render();
+    }
+
+    /**
+     * Preset voices matching the current language filter, or all of them
+     * when nothing matches
+     */
+    getVisibleVoices() {
+        if (!this.language || !this.filterByLanguage) return this.voices;
+
+        const language = this.language.toLowerCase();
+        const matching = this.voices.filter(voice => {
+            const voiceLanguage = (voice.language || '').toLowerCase();
+            return voiceLanguage.startsWith(language) || voiceLanguage.includes('multilingual');
+        });
+
+        return matching.length ? matching : this.voices;
     }
 
     getSelectedVoice() {
@@ -98,17 +145,30 @@ class VoiceSelector {
         const customRadio = document.getElementById('custom-voice-radio');
 
         if (presetRadio) presetRadio.checked = !this.useCustomVoice;
-        if (customRadio) customRadio.checked = this.useCustomVoice;
+        if (customRadio) {
+            customRadio.checked = this.useCustomVoice;
+            customRadio.disabled = !this.customVoiceAvailable;
+            customRadio.closest('.voice-option')?.classList.toggle('disabled', !this.customVoiceAvailable);
+        }
 
         if (presetSection) presetSection.style.display = this.useCustomVoice ? 'none' : 'block';
         if (customSection) customSection.style.display = this.useCustomVoice ? 'block' : 'none';
 
+        const languageFilter = document.getElementById('voice-language-filter');
+        if (languageFilter) {
+            languageFilter.classList.toggle('hidden', !this.language);
+            const label = languageFilter.querySelector('span');
+            if (label) label.textContent = `Only show voices for ${this.language}`;
+            const checkbox = languageFilter.querySelector('input');
+            if (checkbox) checkbox.checked = this.filterByLanguage;
+        }
+
         if (this.voices.length === 0) {
             voiceSelect.innerHTML = '<option value="">No voices available</option>';
             return;
         }
 
-        const groupedVoices = this.voices.reduce((acc, voice) => {
+        const groupedVoices = this.getVisibleVoices().reduce((acc, voice) => {
             const lang = voice.language || 'Other';
             if (!acc[lang]) acc[lang] = [];
             acc[lang].push(voice);
@@ -166,6 +226,15 @@ class VoiceSelector {
             console.error('voice-select element not found!');
         }
 
+        const languageCheckbox = document.querySelector('#voice-language-filter input');
+        if (languageCheckbox && !languageCheckbox._languageFilterHandler) {
+            languageCheckbox._languageFilterHandler = () => {
+                this.filterByLanguage = languageCheckbox.checked;
+                this.render();
+            };
+            languageCheckbox.addEventListener('change', languageCheckbox._languageFilterHandler);
+        }
+
         // For radio buttons, we can't clone them as it breaks the radio group
         // Instead, remove the old listener by checking if one exists
         if (presetRadio) {
@@ -214,6 +283,9 @@ class VoiceSelector {
             console.error('custom-voice-radio element not found!');
         }
     }
+
+    // Callbacks to be overridden
+    onVoiceChanged(voice) { }
 }
 
 export default VoiceSelector;
@@ -0,0 +1,246 @@
+// Voice Tuning Component
+// Speed, pitch and emotion for preset voices, with named profiles saved for reuse
+import voiceProfileStorage from '../utils/voice-profile-storage.js';
+import preferences from '../utils/preferences.js';
+import CONFIG from '../config.js';
+
+class VoiceTuning {
+    constructor() {
+        const { SPEED, PITCH } = CONFIG.VOICE_TUNING;
+
+        this.settings = {
+            speed: SPEED.DEFAULT,
+            pitch: PITCH.DEFAULT,
+            emotion: null,
+            ...preferences.get('voiceTuning', {})
+        };
+        this.profiles = [];
+        // The profile the settings were loaded from, until they are changed
+        this.profileId = preferences.get('voiceProfile', null);
+        // The selected preset voice, for its capabilities
+        this.voice = null;
+    }
+
+    async init() {
+        try {
+            this.profiles = await voiceProfileStorage.getProfiles();
+        } catch (error) {
+            console.error('Error loading voice profiles:', error);
+            this.profiles = [];
+        }
+
+        if (!this.getProfile(this.profileId)) {
+            this.profileId = null;
+        }
+
+        this.render();
+        this.attachEventListeners();
+    }
+
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    getProfileName() {
+        return this.getProfile(this.profileId)?.name || null;
+    }
+
+    supportsEmotion(voice = this.voice) {
+        return !!voice?.emotion_support;
+    }
+
+    setVoice(voice) {
+        this.voice = voice;
+        this.render();
+    }
+
+    /**
+     * HeyGen voice settings for a preset voice, leaving out defaults and
+     * anything the voice doesn't support
+     * @param {Object} voice - The HeyGen voice
+     * @returns {Object|null} - { speed, pitch, emotion }, or null to use the voice as it is
+     */
+    getSettings(voice) {
+        const { SPEED, PITCH } = CONFIG.VOICE_TUNING;
+        const settings = {};
+
+        if (this.settings.speed !== SPEED.DEFAULT) settings.speed = this.settings.speed;
+        if (this.settings.pitch !== PITCH.DEFAULT) settings.pitch = this.settings.pitch;
+        if (this.settings.emotion && this.supportsEmotion(voice)) settings.emotion = this.settings.emotion;
+
+        return Object.keys(settings).length ? settings : null;
+    }
+
+    /**
+     * @param {Object|null} settings - From getSettings
+     * @returns {string} - e.g. 'Speed 1.2× · Pitch +10 · Friendly'
+     */
+    describe(settings) {
+        if (!settings) return 'Default';
+
+        return [
+            settings.speed !== undefined ? `Speed ${settings.speed}×` : null,
+            settings.pitch !== undefined ? `Pitch ${settings.pitch > 0 ? '+' : ''}${settings.pitch}` : null,
+            settings.emotion || null
+        ].filter(Boolean).join(' · ');
+    }
+
+    setSetting(name, value) {
+        this.settings = { ...this.settings, [name]: value };
+        this.profileId = null;
+        this.update();
+    }
+
+    reset() {
+        const { SPEED, PITCH } = CONFIG.VOICE_TUNING;
+        this.settings = { speed: SPEED.DEFAULT, pitch: PITCH.DEFAULT, emotion: null };
+        this.profileId = null;
+        this.update();
+    }
+
+    applyProfile(id) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+
+        this.settings = { speed: profile.speed, pitch: profile.pitch, emotion: profile.emotion };
+        this.profileId = id;
+        this.update();
+    }
+
+    update() {
+        preferences.set('voiceTuning', this.settings);
+        preferences.set('voiceProfile', this.profileId);
+        this.render();
+        this.onSettingsChanged(this.settings);
+    }
+
+    /**
+     * Save the current settings as a named profile
+     * @param {string} name - Display name
+     */
+    async saveProfile(name) {
+        const profile = { name, ...this.settings };
+
+        try {
+            profile.id = await voiceProfileStorage.saveProfile(profile);
+        } catch (error) {
+            console.error('Error saving voice profile:', error);
+            window.toast?.error('Could not save the voice profile');
+            return null;
+        }
+
+        this.profiles.push(profile);
+        this.profileId = profile.id;
+        this.update();
+
+        window.toast?.success(`Voice profile "${name}" saved!`);
+        return profile;
+    }
+
+    async deleteProfile(id) {
+        await voiceProfileStorage.deleteProfile(id);
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+
+        if (this.profileId === id) {
+            this.profileId = null;
+            preferences.set('voiceProfile', null);
+        }
+        this.render();
+    }
+
+    render() {
+        const { SPEED, PITCH, EMOTIONS } = CONFIG.VOICE_TUNING;
+
+        const speed = document.getElementById('voice-speed');
+        if (speed) {
+            speed.min = SPEED.MIN;
+            speed.max = SPEED.MAX;
+            speed.step = SPEED.STEP;
+            speed.value = this.settings.speed;
+        }
+
+        const speedValue = document.getElementById('voice-speed-value');
+        if (speedValue) speedValue.textContent = `${this.settings.speed.toFixed(2)}×`;
+
+        const pitch = document.getElementById('voice-pitch');
+        if (pitch) {
+            pitch.min = PITCH.MIN;
+            pitch.max = PITCH.MAX;
+            pitch.step = PITCH.STEP;
+            pitch.value = this.settings.pitch;
+        }
+
+        const pitchValue = document.getElementById('voice-pitch-value');
+        if (pitchValue) pitchValue.textContent = `${this.settings.pitch > 0 ? '+' : ''}${this.settings.pitch}`;
+
+        const emotionSelect = document.getElementById('voice-emotion');
+        if (emotionSelect) {
+            emotionSelect.innerHTML = '<option value="">Neutral</option>' + EMOTIONS.map(emotion => `
+            <option value="${emotion}" ${emotion === this.settings.emotion ? 'selected' : ''}>${emotion}</option>
+          `).join('');
+            // Kept in the settings so it applies again when switching back to a voice that supports it
+            emotionSelect.disabled = !this.supportsEmotion();
+        }
+
+        document.getElementById('voice-emotion-hint')?.classList.toggle('hidden', !this.voice || this.supportsEmotion());
+
+        const profileSelect = document.getElementById('voice-profile-select');
+        if (profileSelect) {
+            profileSelect.innerHTML = '<option value="">Custom settings</option>' + this.profiles.map(profile => `
+            <option value="${profile.id}" ${profile.id === this.profileId ? 'selected' : ''}>${profile.name}</option>
+          `).join('');
+        }
+
+        const deleteBtn = document.getElementById('delete-voice-profile-btn');
+        if (deleteBtn) deleteBtn.disabled = !this.profileId;
+    }
+
+    attachEventListeners() {
+        document.getElementById('voice-speed')?.addEventListener('input', (e) => {
+            this.setSetting('speed', parseFloat(e.target.value));
+        });
+
+        document.getElementById('voice-pitch')?.addEventListener('input', (e) => {
+            this.setSetting('pitch', parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('voice-emotion')?.addEventListener('change', (e) => {
+            this.setSetting('emotion', e.target.value || null);
+        });
+
+        document.getElementById('voice-profile-select')?.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.applyProfile(parseInt(e.target.value, 10));
+            } else {
+                this.profileId = null;
+                this.update();
+            }
+        });
+
+        document.getElementById('save-voice-profile-btn')?.addEventListener('click', async () => {
+            const name = prompt('Enter a name for this voice profile:', this.getProfileName() || '');
+            if (name?.trim()) {
+                await this.saveProfile(name.trim());
+            }
+        });
+
+        document.getElementById('delete-voice-profile-btn')?.addEventListener('click', async () => {
+            const profile = this.getProfile(this.profileId);
+            if (profile && confirm(`Are you sure you want to delete "${profile.name}"?`)) {
+                try {
+                    await this.deleteProfile(profile.id);
+                } catch (error) {
+                    console.error('Error deleting voice profile:', error);
+                    window.toast?.error('Could not delete the voice profile');
+                }
+            }
+        });
+
+        document.getElementById('reset-voice-tuning-btn')?.addEventListener('click', () => this.reset());
+    }
+
+    // Callbacks to be overridden
+    onSettingsChanged(settings) { }
+}
+
+export default VoiceTuning;
@@ -0,0 +1,203 @@
+// Waveform Visualizer Component
+// Draws the live microphone signal while recording and the static waveform of a finished take
+import CONFIG from '../config.js';
+
+const BAR_WIDTH = 3;
+const BAR_GAP = 2;
+const METER_FLOOR_DB = -60;
+
+/**
+ * Reduce peaks to `count` bars, keeping the maximum of each group
+ * @param {Float32Array|Array<number>} peaks - Peak amplitudes
+ * @param {number} count - Number of bars
+ * @returns {Float32Array} - The reduced peaks
+ */
+export function resamplePeaks(peaks, count) {
+    const resampled = new Float32Array(count);
+    const ratio = peaks.length / count;
+    for (let i = 0; i < count; i++) {
+        const start = Math.floor(i * ratio);
+        const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+        for (let j = start; j < end; j++) {
+            resampled[i] = Math.max(resampled[i], peaks[j]);
+        }
+    }
+    return resampled;
+}
+
+/**
+ * Draw peaks as vertically centred bars, highlighting clipped ones.
+ * Static waveforms are squeezed to fit; live ones keep the newest bars at the right.
+ * @param {HTMLCanvasElement} canvas - The canvas, already sized in device pixels
+ * @param {Float32Array|Array<number>} peaks - Peak amplitudes in [0, 1]
+ * @param {Object} options - { barWidth, gap, alignRight }
+ */
+export function drawPeaks(canvas, peaks, { barWidth = BAR_WIDTH, gap = BAR_GAP, alignRight = false } = {}) {
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const { width, height } = canvas;
+    const step = (barWidth + gap) * ratio;
+    const maxBars = Math.floor(width / step);
+    const clipThreshold = CONFIG.RECORDING.LEVELS.CLIP_THRESHOLD;
+
+    let bars = peaks;
+    if (bars.length > maxBars) {
+        bars = alignRight ? bars.slice(bars.length - maxBars) : resamplePeaks(bars, maxBars);
+    }
+
+    const offset = alignRight ? width - bars.length * step : (width - bars.length * step) / 2;
+
+    ctx.clearRect(0, 0, width, height);
+
+    for (let i = 0; i < bars.length; i++) {
+        const barHeight = Math.max(2, Math.min(1, bars[i]) * height * 0.9);
+        ctx.fillStyle = bars[i] >= clipThreshold ? '#ef4444' : '#ffffff';
+        ctx.fillRect(offset + i * step, (height - barHeight) / 2, barWidth * ratio, barHeight);
+    }
+}
+
+/**
+ * Match a canvas' pixel size to its displayed size
+ * @param {HTMLCanvasElement} canvas - The canvas
+ */
+export function fitCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * ratio;
+    canvas.height = canvas.clientHeight * ratio;
+}
+
+class WaveformVisualizer {
+    constructor() {
+        this.container = null;
+        this.canvas = null;
+        this.meterFill = null;
+        this.warningText = null;
+        this.analyser = null;
+        this.samples = null;
+        this.animationFrame = null;
+        this.isPaused = false;
+        this.history = [];
+        this.lastClipAt = 0;
+        this.lastLoudAt = 0;
+    }
+
+    init() {
+        this.container = document.getElementById('waveform');
+        this.canvas = document.getElementById('waveform-canvas');
+        this.meterFill = document.getElementById('level-meter-fill');
+        this.warningText = document.getElementById('level-warning');
+    }
+
+    /**
+     * Start drawing the live signal from a recorder's AnalyserNode
+     * @param {AnalyserNode} analyser - The analyser connected to the microphone
+     */
+    start(analyser) {
+        if (!this.canvas) this.init();
+        if (!this.canvas || !analyser) return;
+
+        this.stop();
+        this.analyser = analyser;
+        this.samples = new Float32Array(analyser.fftSize);
+        this.history = [];
+        this.isPaused = false;
+        this.lastClipAt = 0;
+        this.lastLoudAt = Date.now();
+        fitCanvas(this.canvas);
+        this.setWarning('');
+
+        const draw = () => {
+            this.animationFrame = requestAnimationFrame(draw);
+            if (this.isPaused) return;
+
+            this.analyser.getFloatTimeDomainData(this.samples);
+
+            let peak = 0;
+            let sum = 0;
+            for (let i = 0; i < this.samples.length; i++) {
+                const value = Math.abs(this.samples[i]);
+                if (value > peak) peak = value;
+                sum += value * value;
+            }
+            const levelDb = 20 * Math.log10(Math.sqrt(sum / this.samples.length) || 1e-10);
+
+            this.history.push(peak);
+            const maxBars = Math.floor(this.canvas.width / ((BAR_WIDTH + BAR_GAP) * (window.devicePixelRatio || 1)));
+            if (this.history.length > maxBars) {
+                this.history.splice(0, this.history.length - maxBars);
+            }
+
+            drawPeaks(this.canvas, this.history, { alignRight: true });
+            this.updateMeter(levelDb, peak);
+        };
+
+        draw();
+    }
+
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.analyser = null;
+        this.updateMeter(METER_FLOOR_DB, 0);
+        this.setWarning('');
+    }
+
+    setPaused(isPaused) {
+        this.isPaused = isPaused;
+        if (isPaused) {
+            // Don't let a deliberate pause trigger the "too quiet" warning on resume
+            this.lastLoudAt = Date.now();
+        }
+    }
+
+    /**
+     * Draw the waveform of a finished take
+     * @param {Float32Array} peaks - Per-bar peak amplitudes in [0, 1]
+     */
+    renderStatic(peaks) {
+        if (!this.canvas) this.init();
+        if (!this.canvas) return;
+
+        fitCanvas(this.canvas);
+        drawPeaks(this.canvas, peaks);
+    }
+
+    /**
+     * Map the meter fill to the RMS level and raise clipping / too-quiet warnings
+     * @param {number} levelDb - Current RMS level in dBFS
+     * @param {number} peak - Current sample peak
+     */
+    updateMeter(levelDb, peak) {
+        const { CLIP_THRESHOLD, QUIET_THRESHOLD_DB, QUIET_WINDOW_SECONDS } = CONFIG.RECORDING.LEVELS;
+        const now = Date.now();
+
+        if (this.meterFill) {
+            const percent = Math.max(0, Math.min(1, 1 - levelDb / METER_FLOOR_DB)) * 100;
+            this.meterFill.style.width = `${percent}%`;
+            this.meterFill.classList.toggle('clipping', peak >= CLIP_THRESHOLD);
+        }
+
+        if (!this.analyser) return;
+
+        if (peak >= CLIP_THRESHOLD) this.lastClipAt = now;
+        if (levelDb > QUIET_THRESHOLD_DB) this.lastLoudAt = now;
+
+        if (now - this.lastClipAt < 2000) {
+            this.setWarning('Too loud: your input is clipping. Move back from the mic or lower the input gain.');
+        } else if (now - this.lastLoudAt > QUIET_WINDOW_SECONDS * 1000) {
+            this.setWarning('Too quiet: move closer to the mic or raise the input gain.');
+        } else {
+            this.setWarning('');
+        }
+    }
+
+    setWarning(message) {
+        if (this.warningText && this.warningText.textContent !== message) {
+            this.warningText.textContent = message;
+        }
+    }
+}
+
+export default WaveformVisualizer;
@@ -30,16 +30,201 @@ const CONFIG = {
         ENDPOINTS: {
             UPLOAD: '/v2/upload',
             TRANSCRIPT: '/v2/transcript'
+        },
+        // Default transcription options (users can change and save them in step 4)
+        TRANSCRIPTION: {
+            LANGUAGE_CODE: null, // null = detect the language automatically
+            PUNCTUATE: true,
+            FORMAT_TEXT: true,
+            DISFLUENCIES: false, // Keep filler words such as "um" and "uh"
+            WORD_BOOST: [], // Names and terms that are likely to be spoken
+            BOOST_PARAM: 'high', // 'low', 'default' or 'high'
+            SPEAKER_LABELS: false // Split the transcript by speaker, for dialogue videos
+        },
+        // Transcription languages by AssemblyAI code, with the name HeyGen uses for voices
+        LANGUAGES: {
+            en: 'English',
+            es: 'Spanish',
+            fr: 'French',
+            de: 'German',
+            it: 'Italian',
+            pt: 'Portuguese',
+            nl: 'Dutch',
+            pl: 'Polish',
+            ru: 'Russian',
+            uk: 'Ukrainian',
+            tr: 'Turkish',
+            hi: 'Hindi',
+            ja: 'Japanese',
+            ko: 'Korean',
+            zh: 'Chinese',
+            vi: 'Vietnamese',
+            fi: 'Finnish'
         }
     },
 
+    // Output format of generated videos (users choose in step 4)
+    OUTPUT: {
+        DEFAULT_ASPECT_RATIO: '16:9',
+        DEFAULT_RESOLUTION: '720p',
+        ASPECT_RATIOS: {
+            '16:9': { label: 'Landscape', width: 16, height: 9 },
+            '9:16': { label: 'Vertical (Reels, Shorts)', width: 9, height: 16 },
+            '1:1': { label: 'Square', width: 1, height: 1 },
+            '4:5': { label: 'Portrait (feeds)', width: 4, height: 5 }
+        },
+        // Length of the short side in pixels; 'custom' lets users type the size
+        RESOLUTIONS: {
+            '720p': 720,
+            '1080p': 1080
+        },
+        // HeyGen's aspect_ratio field only accepts these; other shapes are set by dimension alone
+        HEYGEN_ASPECT_RATIOS: ['16:9', '9:16'],
+        MIN_SIDE: 128,
+        // Longest side HeyGen renders per character type (talking photos go up to 1080p)
+        MAX_SIDE: {
+            avatar: 3840,
+            photo: 1920
+        }
+    },
+
+    // Background video jobs
+    JOBS: {
+        CONCURRENCY: 2, // Videos generated at once (users can change it in the jobs panel)
+        MAX_CONCURRENCY: 4
+    },
+
+    // Shared HTTP client behaviour for both APIs
+    API: {
+        TIMEOUT: 30000, // ms before a request is given up on
+        UPLOAD_TIMEOUT: 300000, // ms, for audio and image uploads
+        MAX_RETRIES: 3, // Retries for network errors, rate limits and server errors
+        RETRY_BASE_DELAY: 1000, // ms, doubled on every retry
+        RETRY_MAX_DELAY: 30000, // ms, also caps Retry-After
+        REQUEST_ID_HEADER: 'X-Request-Id'
+    },
+
     // Application Settings
     RECORDING: {
         MAX_DURATION: 300000, // 5 minutes in milliseconds
         // HeyGen only supports MP3 (audio/mpeg) and WAV (audio/wav)
         // Try WAV first, then webm as fallback (will need conversion)
         MIME_TYPE: 'audio/wav',
-        FALLBACK_MIME_TYPE: 'audio/webm;codecs=opus'
+        FALLBACK_MIME_TYPE: 'audio/webm;codecs=opus',
+        // Format of the recorded voice uploaded to HeyGen: 'mp3' or 'wav'
+        UPLOAD_FORMAT: 'mp3',
+        MP3_BITRATE: 128, // kbps
+        MP3_CHANNELS: 1, // 1 = mono, 2 = stereo
+        MP3_ENCODER_URL: 'https://cdn.jsdelivr.net/npm/lamejs@1.2.1/lame.min.js',
+        // Subresource Integrity hash of that exact file; update it together with the URL
+        MP3_ENCODER_INTEGRITY: 'sha384-xuasJXVcyv3hZq0eYpelEkBC8l4yufatZXDsKuyCU2rqfhDCb+ftuE/mSfZAteiK',
+        // Processing applied to recordings before they leave the browser
+        // SAMPLE_RATE: null keeps the decoded rate, TARGET_LUFS: null skips normalization,
+        // MAX_PAUSE: pauses longer than this many seconds are shortened to it (null keeps pauses)
+        PROCESSING: {
+            TRANSCRIPTION: {
+                DOWNMIX_TO_MONO: true,
+                SAMPLE_RATE: 16000,
+                TRIM_SILENCE: true,
+                MAX_PAUSE: 1.5,
+                TARGET_LUFS: -20,
+                PEAK_LIMIT_DB: -1
+            },
+            UPLOAD: {
+                DOWNMIX_TO_MONO: true,
+                SAMPLE_RATE: 44100,
+                TRIM_SILENCE: true,
+                MAX_PAUSE: 1.5,
+                TARGET_LUFS: -16,
+                PEAK_LIMIT_DB: -1
+            },
+            MAX_GAIN_DB: 24, // Never boost quiet takes by more than this
+            SILENCE_THRESHOLD_DB: -45, // Frame RMS level treated as silence
+            SILENCE_PADDING: 0.2 // Seconds of silence kept before and after speech
+        },
+        // Input level warnings shown on the live meter and after each take
+        LEVELS: {
+            CLIP_THRESHOLD: 0.99, // Sample peak treated as clipping
+            QUIET_THRESHOLD_DB: -40, // Warn when the live level stays below this...
+            QUIET_WINDOW_SECONDS: 3, // ...for this long
+            MIN_TAKE_LUFS: -35 // Warn when a finished take is quieter than this
+        },
+        // Default microphone processing passed to getUserMedia (users can override in step 1)
+        CONSTRAINTS: {
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        },
+        // Voice-activity auto-stop while recording (can be toggled in step 1)
+        AUTO_STOP: {
+            ENABLED: false,
+            SILENCE_SECONDS: 3,
+            THRESHOLD_DB: -50
+        },
+        // Recorded audio is saved to IndexedDB every TIMESLICE ms so a crashed
+        // or reloaded tab can recover the unfinished recording
+        RECOVERY: {
+            DB_NAME: 'VoiceVideoRecordings',
+            DB_VERSION: 1,
+            TIMESLICE: 1000 // ms
+        }
+    },
+
+    AUDIO_UPLOAD: {
+        SUPPORTED_FORMATS: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/ogg', 'audio/opus'],
+        // Some browsers report no MIME type for M4A/OGG files, so fall back to the extension
+        SUPPORTED_EXTENSIONS: {
+            wav: 'audio/wav',
+            mp3: 'audio/mpeg',
+            m4a: 'audio/mp4',
+            ogg: 'audio/ogg',
+            oga: 'audio/ogg',
+            opus: 'audio/ogg'
+        },
+        MAX_FILE_SIZE: 50 * 1024 * 1024 // 50MB
+    },
+
+    // Typed scripts in step 1, spoken by a preset voice
+    SCRIPT: {
+        MAX_LENGTH: 5000, // HeyGen's input_text limit in characters
+        WORDS_PER_MINUTE: 150 // Used to estimate the speaking duration
+    },
+
+    // Teleprompter shown while recording in step 1
+    TELEPROMPTER: {
+        SPEED: 40, // Default scroll speed in pixels per second
+        MIN_SPEED: 10,
+        MAX_SPEED: 150,
+        // With auto-pace on, the text only scrolls while the input is louder than this
+        VOICE_THRESHOLD_DB: -45
+    },
+
+    // Recorded and uploaded takes in step 1
+    TAKES: {
+        DB_NAME: 'VoiceVideoTakes',
+        DB_VERSION: 1,
+        STORE_NAME: 'takes',
+        PERSIST: true, // Keep takes across reloads (can be toggled in step 1)
+        WAVEFORM_BARS: 400,
+        MIN_DURATION: 0.5 // Seconds of audio an edited take must keep
+    },
+
+    // Caption files generated from AssemblyAI word timestamps
+    CAPTIONS: {
+        MAX_LINE_LENGTH: 42, // Characters per line
+        MAX_LINES: 2, // Lines per caption
+        MIN_DURATION: 1000, // ms a caption stays on screen
+        MAX_DURATION: 6000, // ms before a caption is split
+        MAX_WORD_GAP: 1500 // ms pause that starts a new caption
+    },
+
+    // Transcripts and uploaded audio reused for identical audio
+    CACHE: {
+        DB_NAME: 'VoiceVideoCache',
+        DB_VERSION: 1,
+        STORE_NAME: 'entries',
+        TRANSCRIPT_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+        AUDIO_ASSET_TTL: 24 * 60 * 60 * 1000 // 1 day
     },
 
     CHARACTER: {
@@ -50,6 +235,37 @@ const CONFIG = {
         STORE_NAME: 'characters'
     },
 
+    // Backgrounds behind the avatar. Uploaded images and videos are stored
+    // locally with their HeyGen asset ID, like characters.
+    BACKGROUND: {
+        SUPPORTED_IMAGE_FORMATS: ['image/jpeg', 'image/png', 'image/webp'],
+        SUPPORTED_VIDEO_FORMATS: ['video/mp4', 'video/webm'],
+        MAX_IMAGE_SIZE: 10 * 1024 * 1024, // 10MB
+        MAX_VIDEO_SIZE: 100 * 1024 * 1024, // 100MB
+        COLORS: ['#ffffff', '#f5f5f5', '#171717', '#000000', '#00b140', '#2563eb', '#f59e0b', '#e11d48'],
+        VIDEO_PLAY_STYLE: 'loop', // HeyGen: 'loop', 'freeze', 'fit_to_scene' or 'once'
+        DB_NAME: 'VoiceVideoBackgrounds',
+        DB_VERSION: 1,
+        STORE_NAME: 'backgrounds'
+    },
+
+    // Speed, pitch and emotion of preset voices (step 3), with saved profiles
+    VOICE_TUNING: {
+        SPEED: { MIN: 0.5, MAX: 1.5, STEP: 0.05, DEFAULT: 1 },
+        PITCH: { MIN: -50, MAX: 50, STEP: 1, DEFAULT: 0 },
+        // Only for voices whose emotion_support is true
+        EMOTIONS: ['Excited', 'Friendly', 'Serious', 'Soothing', 'Broadcaster'],
+        DB_NAME: 'VoiceVideoVoiceProfiles',
+        DB_VERSION: 1,
+        STORE_NAME: 'profiles'
+    },
+
+    // Multi-scene videos built in step 4, one HeyGen video input per scene
+    STORYBOARD: {
+        MAX_SCENES: 50, // HeyGen's limit on video_inputs
+        PREVIEW_MIN_DURATION: 2000 // ms a scene without audio stays on screen in the preview
+    },
+
     VIDEO: {
         POLL_INTERVAL: 3000, // 3 seconds
         MAX_POLL_ATTEMPTS: 200 // 10 minutes 
@@ -0,0 +1,187 @@
+// Shared HTTP client for the HeyGen and AssemblyAI services
+// Adds auth headers, request IDs, timeouts, typed errors and retries with backoff
+import CONFIG from '../config.js';
+import { ApiError, NetworkError, TimeoutError, RateLimitError, errorForStatus } from './api-errors.js';
+import { isAbortError, throwIfAborted, sleep } from '../utils/abort.js';
+
+class ApiClient {
+    /**
+     * @param {Object} options - { service, baseUrl, headers }
+     * @param {string} options.service - Name used in errors and logs, e.g. 'HeyGen'
+     * @param {string} options.baseUrl - Prefix for request paths
+     * @param {Object} options.headers - Headers sent with every request (e.g. the API key)
+     */
+    constructor({ service, baseUrl, headers = {} }) {
+        this.service = service;
+        this.baseUrl = baseUrl;
+        this.headers = headers;
+    }
+
+    /**
+     * Send a request, retrying network errors, rate limits and server errors.
+     * Requests that aren't idempotent are only retried after a rate limit,
+     * since the server hasn't acted on them.
+     * @param {string} path - Path appended to the base URL
+     * @param {Object} options
+     * @param {string} options.method - HTTP method (default GET)
+     * @param {Object} options.json - Body sent as JSON
+     * @param {Blob} options.body - Raw body, used when json is not given
+     * @param {Object} options.headers - Extra headers for this request
+     * @param {string} options.baseUrl - Overrides the client's base URL
+     * @param {AbortSignal} options.signal - Cancels the request and any retries
+     * @param {number} options.timeout - Per-attempt timeout in ms
+     * @param {number} options.retries - Maximum retries
+     * @param {boolean} options.idempotent - Whether it is safe to send again after a failure (default: GET only)
+     * @returns {Promise<Object>} - The parsed JSON response
+     */
+    async request(path, {
+        method = 'GET',
+        json,
+        body,
+        headers = {},
+        baseUrl = this.baseUrl,
+        signal,
+        timeout = CONFIG.API.TIMEOUT,
+        retries = CONFIG.API.MAX_RETRIES,
+        idempotent = method === 'GET'
+    } = {}) {
+        const requestId = this.createRequestId();
+        const init = {
+            method,
+            headers: {
+                ...this.headers,
+                ...(json !== undefined ? { 'content-type': 'application/json' } : {}),
+                ...headers,
+                [CONFIG.API.REQUEST_ID_HEADER]: requestId
+            },
+            body: json !== undefined ? JSON.stringify(json) : body,
+            mode: 'cors'
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(`${baseUrl}${path}`, init, { requestId, signal, timeout });
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+
+                const canRetry = error.retryable && attempt < retries &&
+                    (idempotent || error instanceof RateLimitError);
+                if (!canRetry) {
+                    console.error(`❌ ${this.service} ${method} ${path} failed [${requestId}]:`, error);
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                console.warn(`⚠️ ${this.service} ${method} ${path} failed (${error.name}), retrying in ${Math.round(delay / 1000)}s [${requestId}]`);
+                await sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * One attempt, with a timeout that also covers reading the body
+     * @returns {Promise<Object>} - The parsed JSON response
+     */
+    async send(url, init, { requestId, signal, timeout }) {
+        throwIfAborted(signal);
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        const details = { service: this.service, requestId };
+
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            details.requestId = response.headers.get(CONFIG.API.REQUEST_ID_HEADER) || requestId;
+
+            if (!response.ok) {
+                const errorBody = await this.readBody(response);
+                throw errorForStatus(response.status, this.getErrorMessage(response, errorBody), {
+                    ...details,
+                    body: errorBody,
+                    retryAfter: this.parseRetryAfter(response.headers.get('Retry-After'))
+                });
+            }
+
+            return await response.json();
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            if (timedOut) {
+                throw new TimeoutError(`${this.service} did not respond within ${timeout / 1000}s`, details);
+            }
+            if (isAbortError(error)) throw error;
+            if (error instanceof SyntaxError) {
+                throw new ApiError(`${this.service} returned an invalid response`, details);
+            }
+            // fetch rejects with a TypeError for offline, DNS and CORS failures
+            throw new NetworkError(`Could not reach ${this.service}: ${error.message}`, details);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    async readBody(response) {
+        const text = await response.text().catch(() => '');
+        try {
+            return JSON.parse(text);
+        } catch {
+            return text || null;
+        }
+    }
+
+    /**
+     * HeyGen reports { error: { message } } or { message }, AssemblyAI { error }
+     */
+    getErrorMessage(response, body) {
+        const message = typeof body === 'string'
+            ? body
+            : body?.error?.message || body?.message || (typeof body?.error === 'string' ? body.error : null);
+
+        return message || response.statusText || `HTTP ${response.status}`;
+    }
+
+    /**
+     * @param {string|null} value - Retry-After header: seconds or an HTTP date
+     * @returns {number|null} - Delay in ms
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Exponential backoff with jitter, or the server's Retry-After when given
+     * @param {Error} error - The failed attempt's error
+     * @param {number} attempt - 0 for the first retry
+     * @returns {number} - Delay in ms
+     */
+    getRetryDelay(error, attempt) {
+        const { RETRY_BASE_DELAY, RETRY_MAX_DELAY } = CONFIG.API;
+
+        if (error.retryAfter != null) {
+            return Math.min(error.retryAfter, RETRY_MAX_DELAY);
+        }
+
+        const ceiling = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+
+    createRequestId() {
+        return crypto.randomUUID?.() ||
+            `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+export default ApiClient;
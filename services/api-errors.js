@@ -0,0 +1,108 @@
+// Typed errors for HeyGen and AssemblyAI requests
+// The UI branches on these classes instead of matching error message text
+
+export class ApiError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - { service, status, requestId, body }
+     */
+    constructor(message, { service = null, status = 0, requestId = null, body = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.service = service;
+        this.status = status;
+        this.requestId = requestId;
+        this.body = body;
+    }
+
+    // Whether the same request may succeed if sent again
+    get retryable() {
+        return false;
+    }
+}
+
+// The request never got a response: offline, DNS, CORS or the proxy is down
+export class NetworkError extends ApiError {
+    get retryable() {
+        return true;
+    }
+}
+
+// No response within the configured timeout
+export class TimeoutError extends NetworkError { }
+
+// 401 / 403: missing or rejected API key
+export class AuthError extends ApiError { }
+
+// 429: too many requests
+export class RateLimitError extends ApiError {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} details - As ApiError, plus { retryAfter } in ms from the Retry-After header
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter ?? null;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+// Other 4xx: the request itself is wrong, so retrying won't help
+export class ValidationError extends ApiError { }
+
+// 5xx
+export class ServerError extends ApiError {
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Build the typed error for a failed response
+ * @param {number} status - HTTP status
+ * @param {string} message - Message from the response body, or the status text
+ * @param {Object} details - { service, requestId, body, retryAfter }
+ * @returns {ApiError}
+ */
+export function errorForStatus(status, message, details = {}) {
+    const options = { ...details, status };
+
+    if (status === 401 || status === 403) return new AuthError(message, options);
+    if (status === 429) return new RateLimitError(message, options);
+    if (status >= 500) return new ServerError(message, options);
+    if (status >= 400) return new ValidationError(message, options);
+    return new ApiError(message, options);
+}
+
+/**
+ * A message for the user that says what to do about an error
+ * @param {Error} error - Any error
+ * @returns {string}
+ */
+export function describeError(error) {
+    const service = error.service || 'The API';
+
+    if (error instanceof TimeoutError) {
+        return `${service} took too long to respond. Please try again.`;
+    }
+    if (error instanceof NetworkError) {
+        return `Cannot reach ${service}. Check your connection and that the backend proxy is running (direct API calls are blocked by CORS).`;
+    }
+    if (error instanceof AuthError) {
+        return `${service} rejected the API key. Check the key configured on the backend.`;
+    }
+    if (error instanceof RateLimitError) {
+        return `${service} is rate limiting requests. Please wait a moment and try again.`;
+    }
+    if (error instanceof ServerError) {
+        return `${service} is having problems (${error.status}). Please try again later.`;
+    }
+    if (error instanceof ValidationError) {
+        return `${service} rejected the request: ${error.message}`;
+    }
+
+    return error.message || 'Something went wrong';
+}
@@ -1,106 +1,126 @@
 // AssemblyAI API Integration
 import CONFIG from '../config.js';
+import ApiClient from './api-client.js';
+import { ValidationError } from './api-errors.js';
+import { sleep } from '../utils/abort.js';
 
 class AssemblyAIService {
     constructor() {
         this.apiKey = CONFIG.ASSEMBLYAI_API_KEY;
         this.baseUrl = CONFIG.ASSEMBLYAI.BASE_URL;
-    }
-
-    async uploadAudio(audioBlob) {
-        try {
-            const response = await fetch(`${this.baseUrl}${CONFIG.ASSEMBLYAI.ENDPOINTS.UPLOAD}`, {
-                method: 'POST',
-                headers: {
-                    'authorization': this.apiKey,
-                    'content-type': 'application/octet-stream'
-                },
-                body: audioBlob
-            });
-
-            if (!response.ok) {
-                throw new Error(`Upload failed: ${response.statusText}`);
+        this.client = new ApiClient({
+            service: 'AssemblyAI',
+            baseUrl: this.baseUrl,
+            headers: {
+                'authorization': this.apiKey
             }
-
-            const data = await response.json();
-            return data.upload_url;
-        } catch (error) {
-            console.error('Error uploading audio to AssemblyAI:', error);
-            throw error;
-        }
+        });
     }
 
-    async submitTranscription(audioUrl) {
-        try {
-            const response = await fetch(`${this.baseUrl}${CONFIG.ASSEMBLYAI.ENDPOINTS.TRANSCRIPT}`, {
-                method: 'POST',
-                headers: {
-                    'authorization': this.apiKey,
-                    'content-type': 'application/json'
-                },
-                body: JSON.stringify({
-                    audio_url: audioUrl
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`Transcription submission failed: ${response.statusText}`);
-            }
+    async uploadAudio(audioBlob, signal) {
+        const data = await this.client.request(CONFIG.ASSEMBLYAI.ENDPOINTS.UPLOAD, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/octet-stream'
+            },
+            body: audioBlob,
+            timeout: CONFIG.API.UPLOAD_TIMEOUT,
+            idempotent: true,
+            signal
+        });
+        return data.upload_url;
+    }
 
-            const data = await response.json();
-            return data.id;
-        } catch (error) {
-            console.error('Error submitting transcription:', error);
-            throw error;
+    /**
+     * Build the transcript request body from user options
+     * @param {string} audioUrl - The uploaded audio URL
+     * @param {Object} options - { languageCode, punctuate, formatText, disfluencies, wordBoost, boostParam, speakerLabels }
+     * @returns {Object} - The request body
+     */
+    buildTranscriptionRequest(audioUrl, options = {}) {
+        const defaults = CONFIG.ASSEMBLYAI.TRANSCRIPTION;
+        const {
+            languageCode = defaults.LANGUAGE_CODE,
+            punctuate = defaults.PUNCTUATE,
+            formatText = defaults.FORMAT_TEXT,
+            disfluencies = defaults.DISFLUENCIES,
+            wordBoost = defaults.WORD_BOOST,
+            boostParam = defaults.BOOST_PARAM,
+            speakerLabels = defaults.SPEAKER_LABELS
+        } = options;
+
+        const request = {
+            audio_url: audioUrl,
+            punctuate,
+            format_text: formatText,
+            disfluencies
+        };
+
+        if (languageCode) {
+            request.language_code = languageCode;
+        } else {
+            request.language_detection = true;
         }
-    }
 
-    async pollTranscription(transcriptId) {
-        try {
-            const response = await fetch(`${this.baseUrl}${CONFIG.ASSEMBLYAI.ENDPOINTS.TRANSCRIPT}/${transcriptId}`, {
-                method: 'GET',
-                headers: {
-                    'authorization': this.apiKey
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`Polling failed: ${response.statusText}`);
-            }
+        if (wordBoost.length) {
+            request.word_boost = wordBoost;
+            request.boost_param = boostParam;
+        }
 
-            const data = await response.json();
-            return data;
-        } catch (error) {
-            console.error('Error polling transcription:', error);
-            throw error;
+        if (speakerLabels) {
+            // Adds utterances: one per speaker turn, with speakers labelled 'A', 'B', ...
+            request.speaker_labels = true;
         }
+
+        return request;
     }
 
-    async getTranscript(audioBlob) {
-        try {
-            // Step 1: Upload audio
-            const audioUrl = await this.uploadAudio(audioBlob);
+    async submitTranscription(audioUrl, options = {}, signal) {
+        const data = await this.client.request(CONFIG.ASSEMBLYAI.ENDPOINTS.TRANSCRIPT, {
+            method: 'POST',
+            json: this.buildTranscriptionRequest(audioUrl, options),
+            signal
+        });
+        return data.id;
+    }
 
-            // Step 2: Submit transcription job
-            const transcriptId = await this.submitTranscription(audioUrl);
+    async pollTranscription(transcriptId, signal) {
+        return this.client.request(`${CONFIG.ASSEMBLYAI.ENDPOINTS.TRANSCRIPT}/${transcriptId}`, { signal });
+    }
 
-            // Step 3: Poll until complete
-            let transcript = await this.pollTranscription(transcriptId);
+    /**
+     * Upload audio and wait for its transcript
+     * @param {Blob} audioBlob - The audio to transcribe
+     * @param {Object} options - Transcription options (see buildTranscriptionRequest)
+     * @param {AbortSignal} [signal] - Cancels the upload and stops polling
+     * @returns {Promise<Object>} - The completed transcript, including text, language_code and utterances when speakers are labelled
+     */
+    async transcribe(audioBlob, options = {}, signal) {
+        // Step 1: Upload audio
+        const audioUrl = await this.uploadAudio(audioBlob, signal);
+
+        // Step 2: Submit transcription job
+        const transcriptId = await this.submitTranscription(audioUrl, options, signal);
+
+        // Step 3: Poll until complete
+        let transcript = await this.pollTranscription(transcriptId, signal);
+
+        while (transcript.status !== 'completed' && transcript.status !== 'error') {
+            await sleep(3000, signal); // Wait 3 seconds
+            transcript = await this.pollTranscription(transcriptId, signal);
+        }
 
-            while (transcript.status !== 'completed' && transcript.status !== 'error') {
-                await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds
-                transcript = await this.pollTranscription(transcriptId);
-            }
+        if (transcript.status === 'error') {
+            // AssemblyAI accepted the request but couldn't transcribe the audio
+            throw new ValidationError(transcript.error || 'The audio could not be transcribed', { service: 'AssemblyAI' });
+        }
 
-            if (transcript.status === 'error') {
-                throw new Error('Transcription failed: ' + transcript.error);
-            }
+        return transcript;
+    }
 
-            return transcript.text;
-        } catch (error) {
-            console.error('Error getting transcript:', error);
-            throw error;
-        }
+    async getTranscript(audioBlob, options = {}, signal) {
+        const transcript = await this.transcribe(audioBlob, options, signal);
+        return transcript.text;
     }
 }
 
@@ -1,10 +1,20 @@
 // HeyGen API Integration
 import CONFIG from '../config.js';
+import ApiClient from './api-client.js';
+import { sleep } from '../utils/abort.js';
 
 class HeyGenService {
     constructor() {
         this.apiKey = CONFIG.HEYGEN_API_KEY;
         this.baseUrl = CONFIG.HEYGEN.BASE_URL;
+        this.client = new ApiClient({
+            service: 'HeyGen',
+            baseUrl: this.baseUrl,
+            headers: {
+                'accept': 'application/json',
+                'x-api-key': this.apiKey
+            }
+        });
 
         // Debug: Show which URL is being used
         console.log('🔧 HeyGen Service initialized with base URL:', this.baseUrl);
@@ -16,216 +26,164 @@ class HeyGenService {
     }
 
     async getAvatars() {
-        try {
-            const response = await fetch(`${this.baseUrl}${CONFIG.HEYGEN.ENDPOINTS.AVATARS}`, {
-                method: 'GET',
-                headers: {
-                    'accept': 'application/json',
-                    'x-api-key': this.apiKey
-                },
-                mode: 'cors'
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('HeyGen API Error:', errorText);
-                throw new Error(`Failed to fetch avatars: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            console.log('HeyGen Avatars Response:', data);
-            return data.data?.avatars || [];
-        } catch (error) {
-            console.error('Error fetching avatars:', error);
-            // Return empty array instead of throwing to allow app to continue
-            return [];
-        }
+        const data = await this.client.request(CONFIG.HEYGEN.ENDPOINTS.AVATARS);
+        console.log('HeyGen Avatars Response:', data);
+        return data.data?.avatars || [];
     }
 
     async getVoices() {
-        try {
-            const response = await fetch(`${this.baseUrl}${CONFIG.HEYGEN.ENDPOINTS.VOICES}`, {
-                method: 'GET',
-                headers: {
-                    'accept': 'application/json',
-                    'x-api-key': this.apiKey
-                },
-                mode: 'cors'
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('HeyGen API Error:', errorText);
-                throw new Error(`Failed to fetch voices: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            console.log('HeyGen Voices Response:', data);
-            return data.data?.voices || [];
-        } catch (error) {
-            console.error('Error fetching voices:', error);
-            // Return empty array instead of throwing to allow app to continue
-            return [];
-        }
+        const data = await this.client.request(CONFIG.HEYGEN.ENDPOINTS.VOICES);
+        console.log('HeyGen Voices Response:', data);
+        return data.data?.voices || [];
     }
 
-    async uploadAsset(file, type = 'image') {
-        try {
-            // HeyGen API expects RAW BINARY DATA, not FormData!
-            // Get the blob data
-            let blob = file;
+    async uploadAsset(file, type = 'image', signal) {
+        // HeyGen API expects RAW BINARY DATA, not FormData!
+        // Get the blob data
+        let blob = file;
 
-            // If it's a File object, convert to Blob
-            if (file instanceof File) {
-                blob = new Blob([file], { type: file.type });
-            }
+        // If it's a File object, convert to Blob
+        if (file instanceof File) {
+            blob = new Blob([file], { type: file.type });
+        }
 
-            // Determine Content-Type based on file type
-            let contentType;
-            if (type === 'audio') {
-                // HeyGen accepts audio/mpeg (MP3) or audio/x-wav (WAV)
-                // Check the blob type to determine which one we have
-                if (blob.type === 'audio/wav' || blob.type === 'audio/wave' || blob.type === 'audio/x-wav') {
-                    contentType = 'audio/x-wav'; // HeyGen expects audio/x-wav for WAV files
-                } else if (blob.type === 'audio/mpeg' || blob.type === 'audio/mp3') {
-                    contentType = 'audio/mpeg';
-                } else {
-                    // Default to audio/x-wav (our converter outputs WAV)
-                    contentType = 'audio/x-wav';
-                }
-                console.log('📤 Uploading audio as:', contentType);
+        // Determine Content-Type based on file type
+        let contentType;
+        if (type === 'audio') {
+            // HeyGen accepts audio/mpeg (MP3) or audio/x-wav (WAV)
+            // Check the blob type to determine which one we have
+            if (blob.type === 'audio/wav' || blob.type === 'audio/wave' || blob.type === 'audio/x-wav') {
+                contentType = 'audio/x-wav'; // HeyGen expects audio/x-wav for WAV files
+            } else if (blob.type === 'audio/mpeg' || blob.type === 'audio/mp3') {
+                contentType = 'audio/mpeg';
             } else {
-                // For images
-                contentType = blob.type || 'image/jpeg';
+                // Default to audio/x-wav (the converter always outputs MP3 or WAV)
+                contentType = 'audio/x-wav';
             }
+            console.log('📤 Uploading audio as:', contentType);
+        } else if (type === 'video') {
+            // For video backgrounds
+            contentType = blob.type || 'video/mp4';
+        } else {
+            // For images
+            contentType = blob.type || 'image/jpeg';
+        }
 
-            // Use UPLOAD_URL for uploads (upload.heygen.com domain)
-            const uploadUrl = CONFIG.HEYGEN.UPLOAD_URL || this.baseUrl;
-            const endpoint = `${uploadUrl}${CONFIG.HEYGEN.ENDPOINTS.UPLOAD_ASSET}`;
-
-            console.log('Uploading to:', endpoint);
-            console.log('Content-Type:', contentType);
-            console.log('File size:', blob.size, 'bytes');
-            console.log('Blob type:', blob.type);
-
-            // Send as RAW BINARY DATA
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'x-api-key': this.apiKey,
-                    'Content-Type': contentType  // IMPORTANT: Set the MIME type
-                },
-                body: blob,  // Send raw blob, NOT FormData
-                mode: 'cors'
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Upload Error:', errorText);
-                throw new Error(`Failed to upload asset: ${response.status} ${response.statusText}`);
-            }
+        // Use UPLOAD_URL for uploads (upload.heygen.com domain)
+        const uploadUrl = CONFIG.HEYGEN.UPLOAD_URL || this.baseUrl;
+
+        console.log('Uploading to:', `${uploadUrl}${CONFIG.HEYGEN.ENDPOINTS.UPLOAD_ASSET}`);
+        console.log('Content-Type:', contentType);
+        console.log('File size:', blob.size, 'bytes');
+        console.log('Blob type:', blob.type);
+
+        // Send as RAW BINARY DATA. Uploading again only creates a duplicate asset, so retrying is safe.
+        const data = await this.client.request(CONFIG.HEYGEN.ENDPOINTS.UPLOAD_ASSET, {
+            method: 'POST',
+            baseUrl: uploadUrl,
+            headers: {
+                'Content-Type': contentType  // IMPORTANT: Set the MIME type
+            },
+            body: blob,  // Send raw blob, NOT FormData
+            timeout: CONFIG.API.UPLOAD_TIMEOUT,
+            idempotent: true,
+            signal
+        });
+
+        console.log('Upload Response:', data);
+        return data.data;
+    }
 
-            const data = await response.json();
-            console.log('Upload Response:', data);
-            return data.data;
-        } catch (error) {
-            console.error('Error uploading asset:', error);
-            throw error;
+    /**
+     * Start rendering a video
+     * @param {Object} config - { character, voice, text, background, dimension, aspectRatio }, or { scenes, dimension, aspectRatio }
+     * @param {Array<Object>} config.scenes - { character, voice, text, background } per scene, played in order
+     * @param {Object} config.background - HeyGen background ({ type: 'color' | 'image' | 'video', ... }), or null for the default
+     * @param {Object} config.dimension - { width, height } in pixels (default 1280 x 720)
+     * @param {string} config.aspectRatio - e.g. '9:16'; only sent when HeyGen accepts it
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<string>} - The video ID
+     */
+    async createVideo(config, signal) {
+        // A single video is a storyboard with one scene
+        const scenes = config.scenes || [config];
+
+        // Build the complete request body
+        const requestBody = {
+            video_inputs: scenes.map(scene => this.buildVideoInput(scene)),
+            dimension: config.dimension || {
+                width: 1280,
+                height: 720
+            },
+            test: false
+        };
+
+        if (CONFIG.OUTPUT.HEYGEN_ASPECT_RATIOS.includes(config.aspectRatio)) {
+            requestBody.aspect_ratio = config.aspectRatio;
         }
-    }
 
-    async createVideo(config) {
-        try {
-            // Build the video_input object according to HeyGen API v2
-            const videoInput = {
-                character: config.character
-            };
+        console.log('Creating video with config:', JSON.stringify(requestBody, null, 2));
 
-            // Add voice configuration based on type
-            if (config.voice.type === 'text') {
-                // Text-based voice (preset AI voice)
-                videoInput.voice = {
-                    type: 'text',
-                    voice_id: config.voice.voice_id,
-                    input_text: config.text || ''
-                };
-            } else if (config.voice.type === 'audio') {
-                // Audio-based voice (uploaded audio)
-                // For talking photos, we need BOTH audio and text for lip sync
-                videoInput.voice = {
-                    type: 'audio',
-                    audio_asset_id: config.voice.audio_asset_id,
-                    input_text: config.text || ''  // Required for lip sync with photos
-                };
-            }
+        // Not retried after network or server errors, which could create the video twice
+        const data = await this.client.request(CONFIG.HEYGEN.ENDPOINTS.CREATE_VIDEO, {
+            method: 'POST',
+            json: requestBody,
+            signal
+        });
 
-            // Build the complete request body
-            const requestBody = {
-                video_inputs: [videoInput],
-                dimension: {
-                    width: 1280,
-                    height: 720
-                },
-                aspect_ratio: '16:9',
-                test: false
-            };
+        console.log('Video creation response:', data);
+        return data.data?.video_id;
+    }
 
-            console.log('Creating video with config:', JSON.stringify(requestBody, null, 2));
-
-            const response = await fetch(`${this.baseUrl}${CONFIG.HEYGEN.ENDPOINTS.CREATE_VIDEO}`, {
-                method: 'POST',
-                headers: {
-                    'accept': 'application/json',
-                    'content-type': 'application/json',
-                    'x-api-key': this.apiKey
-                },
-                body: JSON.stringify(requestBody),
-                mode: 'cors'
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('Video creation error:', errorData);
-                throw new Error(`Failed to create video: ${errorData.message || response.statusText}`);
-            }
+    /**
+     * Build one video_input for HeyGen API v2
+     * @param {Object} scene - { character, voice, text, background }
+     * @param {Object} scene.voice.settings - Optional { speed, pitch, emotion } for preset voices
+     */
+    buildVideoInput(scene) {
+        const videoInput = {
+            character: scene.character
+        };
+
+        // Add voice configuration based on type
+        if (scene.voice.type === 'text') {
+            // Text-based voice (preset AI voice)
+            videoInput.voice = {
+                type: 'text',
+                voice_id: scene.voice.voice_id,
+                input_text: scene.text || '',
+                ...scene.voice.settings
+            };
+        } else if (scene.voice.type === 'audio') {
+            // Audio-based voice (uploaded audio)
+            // For talking photos, we need BOTH audio and text for lip sync
+            videoInput.voice = {
+                type: 'audio',
+                audio_asset_id: scene.voice.audio_asset_id,
+                input_text: scene.text || ''  // Required for lip sync with photos
+            };
+        }
 
-            const data = await response.json();
-            console.log('Video creation response:', data);
-            return data.data?.video_id;
-        } catch (error) {
-            console.error('Error creating video:', error);
-            throw error;
+        if (scene.background) {
+            videoInput.background = scene.background;
         }
-    }
 
-    async getVideoStatus(videoId) {
-        try {
-            const response = await fetch(`${this.baseUrl}${CONFIG.HEYGEN.ENDPOINTS.VIDEO_STATUS}?video_id=${videoId}`, {
-                method: 'GET',
-                headers: {
-                    'accept': 'application/json',
-                    'x-api-key': this.apiKey
-                },
-                mode: 'cors'
-            });
-
-            if (!response.ok) {
-                throw new Error(`Failed to get video status: ${response.statusText}`);
-            }
+        return videoInput;
+    }
 
-            const data = await response.json();
-            return data.data;
-        } catch (error) {
-            console.error('Error getting video status:', error);
-            throw error;
-        }
+    async getVideoStatus(videoId, signal) {
+        const data = await this.client.request(
+            `${CONFIG.HEYGEN.ENDPOINTS.VIDEO_STATUS}?video_id=${encodeURIComponent(videoId)}`,
+            { signal }
+        );
+        return data.data;
     }
 
-    async waitForVideo(videoId) {
+    async waitForVideo(videoId, signal) {
         let attempts = 0;
 
         while (attempts < CONFIG.VIDEO.MAX_POLL_ATTEMPTS) {
-            const status = await this.getVideoStatus(videoId);
+            const status = await this.getVideoStatus(videoId, signal);
 
             if (status.status === 'completed') {
                 return status.video_url;
@@ -235,7 +193,7 @@ class HeyGenService {
                 throw new Error('Video generation failed');
             }
 
-            await new Promise(resolve => setTimeout(resolve, CONFIG.VIDEO.POLL_INTERVAL));
+            await sleep(CONFIG.VIDEO.POLL_INTERVAL, signal);
             attempts++;
         }
 
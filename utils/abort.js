@@ -0,0 +1,62 @@
+// AbortSignal helpers shared by the API services and the generation pipeline
+
+/**
+ * Whether an error was caused by an aborted signal
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - The signal to check
+ */
+export function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw new DOMException('The operation was cancelled', 'AbortError');
+    }
+}
+
+/**
+ * Wait for a promise, rejecting early with an AbortError if the signal is
+ * aborted. The promise itself keeps running.
+ * @param {Promise} promise - The promise to wait for
+ * @param {AbortSignal} [signal] - The signal to watch
+ * @returns {Promise} - Settles like the promise, or rejects when aborted
+ */
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new DOMException('The operation was cancelled', 'AbortError'));
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Resolve after a delay, or reject with an AbortError as soon as the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - The signal to watch
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+    throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was cancelled', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
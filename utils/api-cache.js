@@ -0,0 +1,122 @@
+// IndexedDB cache for API results that can be reused for identical audio
+import CONFIG from '../config.js';
+
+class ApiCache {
+    constructor() {
+        this.db = null;
+    }
+
+    async initDB() {
+        const { DB_NAME, DB_VERSION, STORE_NAME } = CONFIG.CACHE;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+                // Clean up in the background; a failure here only leaves stale entries behind
+                this.purgeExpired().catch(error => console.warn('Could not purge cache:', error));
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    objectStore.createIndex('expiresAt', 'expiresAt', { unique: false });
+                }
+            };
+        });
+    }
+
+    /**
+     * SHA-256 of a blob's content, as hex
+     * @param {Blob} blob - The blob to hash
+     * @returns {Promise<string>} - The hash
+     */
+    async hashBlob(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * @param {string} key - The cache key
+     * @returns {Promise<*>} - The cached value, or null if missing or expired
+     */
+    async get(key) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.CACHE.STORE_NAME], 'readonly');
+            const request = transaction.objectStore(CONFIG.CACHE.STORE_NAME).get(key);
+
+            request.onsuccess = () => {
+                const entry = request.result;
+                resolve(entry && entry.expiresAt > Date.now() ? entry.value : null);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @param {string} key - The cache key
+     * @param {*} value - Any structured-cloneable value
+     * @param {number} ttl - Time to live in milliseconds
+     */
+    async set(key, value, ttl) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.CACHE.STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(CONFIG.CACHE.STORE_NAME).put({
+                key,
+                value,
+                expiresAt: Date.now() + ttl
+            });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async delete(key) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.CACHE.STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(CONFIG.CACHE.STORE_NAME).delete(key);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async purgeExpired() {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.CACHE.STORE_NAME], 'readwrite');
+            const index = transaction.objectStore(CONFIG.CACHE.STORE_NAME).index('expiresAt');
+            const request = index.openCursor(IDBKeyRange.upperBound(Date.now()));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Export singleton instance
+const apiCache = new ApiCache();
+export default apiCache;
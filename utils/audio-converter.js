@@ -1,51 +1,787 @@
 // Audio Converter Utility
-// Converts WebM audio to MP3 format for HeyGen API compatibility
+// Converts recorded audio to MP3 or WAV format for HeyGen API compatibility
+import CONFIG from '../config.js';
+
+// Samples per MPEG-1 Layer III frame
+const MP3_FRAME_SIZE = 1152;
+
+// Number of MP3 frames to encode before yielding back to the UI thread
+const MP3_FRAMES_PER_YIELD = 200;
+
+// ITU-R BS.1770 loudness measurement constants
+const LOUDNESS_STEP_SECONDS = 0.1;
+const LOUDNESS_STEPS_PER_BLOCK = 4; // 400 ms blocks with 75% overlap
+const LOUDNESS_ABSOLUTE_GATE = -70; // LUFS
+const LOUDNESS_RELATIVE_GATE = -10; // LU below the absolute-gated loudness
+
+// Silence detection frame length and crossfade applied where audio is cut
+const SILENCE_FRAME_SECONDS = 0.02;
+const JOIN_FADE_SECONDS = 0.01;
+
+// Peak limiter timing
+const LIMITER_LOOKAHEAD_SECONDS = 0.005;
+const LIMITER_RELEASE_SECONDS = 0.05;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * Biquad coefficients for the two-stage K-weighting filter at a sample rate
+ * (BS.1770 only publishes 48 kHz values, so they are re-derived per rate)
+ * @param {number} sampleRate - The sample rate in Hz
+ * @returns {Array<Object>} - [shelf, highpass] coefficient sets
+ */
+function kWeightingCoefficients(sampleRate) {
+    // Stage 1: high shelf modelling the acoustic effect of the head
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b0: (Vh + Vb * K / Q + K * K) / a0,
+        b1: 2 * (K * K - Vh) / a0,
+        b2: (Vh - Vb * K / Q + K * K) / a0,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    // Stage 2: RLB high-pass
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highpass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    return [shelf, highpass];
+}
+
+/**
+ * Create a stateful biquad filter (direct form I) that processes one sample at a time
+ * @param {Object} c - Biquad coefficients
+ * @returns {Function} - (sample) => filtered sample
+ */
+function createBiquad(c) {
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+    return (x0) => {
+        const y0 = c.b0 * x0 + c.b1 * x1 + c.b2 * x2 - c.a1 * y1 - c.a2 * y2;
+        x2 = x1;
+        x1 = x0;
+        y2 = y1;
+        y1 = y0;
+        return y0;
+    };
+}
 
 class AudioConverter {
+    constructor() {
+        this.encoderPromise = null;
+    }
+
     /**
-     * Convert WebM blob to MP3 using lamejs library
-     * Note: This is a client-side conversion using Web Audio API
-     * @param {Blob} webmBlob - The WebM audio blob to convert
-     * @returns {Promise<Blob>} - The converted MP3 blob
+     * Convert an audio blob to the format used for HeyGen uploads
+     * @param {Blob} audioBlob - The recorded audio blob
+     * @param {string} format - 'mp3' or 'wav' (defaults to CONFIG.RECORDING.UPLOAD_FORMAT)
+     * @returns {Promise<Blob>} - The converted blob
      */
-    async convertWebMToMP3(webmBlob) {
+    async convertForUpload(audioBlob, format = CONFIG.RECORDING.UPLOAD_FORMAT) {
         try {
-            console.log('🔄 Converting WebM to MP3...');
-            console.log('Input size:', webmBlob.size, 'bytes');
+            console.log(`🔄 Converting audio to ${format.toUpperCase()}...`);
+            console.log('Input size:', audioBlob.size, 'bytes');
 
-            // For now, we'll use a simpler approach: convert to WAV
-            // HeyGen accepts both MP3 and WAV
-            const wavBlob = await this.convertToWAV(webmBlob);
+            const decoded = await this.decodeAudio(audioBlob);
+            const processed = await this.processAudio(decoded, this.getProcessingOptions('UPLOAD'));
+            const convertedBlob = format === 'wav'
+                ? this.audioBufferToWav(processed)
+                : await this.audioBufferToMp3(processed);
 
             console.log('✅ Conversion complete!');
-            console.log('Output size:', wavBlob.size, 'bytes');
+            console.log('Output size:', convertedBlob.size, 'bytes');
 
-            return wavBlob;
+            return convertedBlob;
         } catch (error) {
             console.error('Error converting audio:', error);
             throw new Error('Failed to convert audio format');
         }
     }
 
+    /**
+     * Downmix, resample and normalize a recording for speech-to-text
+     * @param {Blob} audioBlob - The recorded audio blob
+     * @returns {Promise<Blob>} - A WAV blob using the TRANSCRIPTION processing profile
+     */
+    async prepareForTranscription(audioBlob) {
+        const decoded = await this.decodeAudio(audioBlob);
+        const processed = await this.processAudio(decoded, this.getProcessingOptions('TRANSCRIPTION'));
+        return this.audioBufferToWav(processed);
+    }
+
+    /**
+     * Read a processing profile from CONFIG.RECORDING.PROCESSING
+     * @param {string} profile - 'TRANSCRIPTION' or 'UPLOAD'
+     * @returns {Object} - Options for processAudio
+     */
+    getProcessingOptions(profile) {
+        const settings = CONFIG.RECORDING.PROCESSING[profile] || {};
+        return {
+            channels: settings.DOWNMIX_TO_MONO ? 1 : null,
+            sampleRate: settings.SAMPLE_RATE || null,
+            trimSilence: !!settings.TRIM_SILENCE,
+            maxPause: settings.MAX_PAUSE || null,
+            silenceThresholdDb: CONFIG.RECORDING.PROCESSING.SILENCE_THRESHOLD_DB,
+            silencePadding: CONFIG.RECORDING.PROCESSING.SILENCE_PADDING,
+            targetLufs: settings.TARGET_LUFS ?? null,
+            peakLimitDb: settings.PEAK_LIMIT_DB ?? null
+        };
+    }
+
+    /**
+     * Run the processing pipeline: downmix/resample, silence trimming,
+     * then loudness normalization
+     * @param {AudioBuffer} buffer - The decoded audio
+     * @param {Object} options - Pipeline options
+     * @param {number|null} options.channels - Output channel count (null keeps the input's)
+     * @param {number|null} options.sampleRate - Output sample rate (null keeps the input's)
+     * @param {boolean} options.trimSilence - Remove leading and trailing silence
+     * @param {number|null} options.maxPause - Longest pause kept in seconds (null keeps pauses)
+     * @param {number} options.silenceThresholdDb - Frame RMS level treated as silence
+     * @param {number} options.silencePadding - Seconds of silence kept around speech
+     * @param {number|null} options.targetLufs - Integrated loudness target (null skips normalization)
+     * @param {number|null} options.peakLimitDb - Sample peak ceiling in dBFS (null disables the limiter)
+     * @returns {Promise<AudioBuffer>} - The processed audio
+     */
+    async processAudio(buffer, options = {}) {
+        let processed = await this.resample(
+            buffer,
+            options.sampleRate || buffer.sampleRate,
+            options.channels || buffer.numberOfChannels
+        );
+
+        if (options.trimSilence) {
+            processed = this.trimSilence(processed, {
+                thresholdDb: options.silenceThresholdDb,
+                padding: options.silencePadding,
+                maxPause: options.maxPause
+            });
+        }
+
+        if (options.targetLufs !== null && options.targetLufs !== undefined) {
+            this.normalizeLoudness(processed, options.targetLufs);
+        }
+
+        if (options.peakLimitDb !== null && options.peakLimitDb !== undefined) {
+            this.limitPeaks(processed, options.peakLimitDb);
+        }
+
+        return processed;
+    }
+
+    /**
+     * Resample and/or downmix an AudioBuffer with an OfflineAudioContext
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @param {number} sampleRate - The target sample rate
+     * @param {number} channels - The target channel count
+     * @returns {Promise<AudioBuffer>} - A new buffer, or the input when nothing changes
+     */
+    async resample(buffer, sampleRate, channels) {
+        if (buffer.sampleRate === sampleRate && buffer.numberOfChannels === channels) {
+            return buffer;
+        }
+
+        const length = Math.ceil(buffer.duration * sampleRate);
+        const offlineContext = new OfflineAudioContext(channels, length, sampleRate);
+        const source = offlineContext.createBufferSource();
+        source.buffer = buffer;
+        // Speaker downmix rules average stereo into mono
+        source.connect(offlineContext.destination);
+        source.start();
+
+        return offlineContext.startRendering();
+    }
+
+    /**
+     * Remove leading/trailing silence and shorten long pauses
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @param {Object} options - Trim options
+     * @param {number} options.thresholdDb - Frame RMS level treated as silence
+     * @param {number} options.padding - Seconds of silence kept around speech
+     * @param {number|null} options.maxPause - Longest pause kept in seconds (null keeps pauses)
+     * @returns {AudioBuffer} - A new buffer, or the input when nothing is removed
+     */
+    trimSilence(buffer, { thresholdDb, padding, maxPause = null }) {
+        const frameSize = Math.round(SILENCE_FRAME_SECONDS * buffer.sampleRate);
+        const speech = this.detectSpeech(buffer, thresholdDb, frameSize);
+        const first = speech.indexOf(true);
+
+        if (first === -1) {
+            console.warn('⚠️ No speech detected, leaving recording untrimmed');
+            return buffer;
+        }
+
+        const last = speech.lastIndexOf(true);
+        const pad = Math.round(padding * buffer.sampleRate);
+        const ranges = [];
+        let rangeStart = Math.max(0, first * frameSize - pad);
+
+        if (maxPause) {
+            // Keep half of the allowed pause on each side of a long gap
+            const maxPauseFrames = Math.ceil(maxPause / SILENCE_FRAME_SECONDS);
+            const keep = Math.round(maxPause * buffer.sampleRate / 2);
+            let pauseStart = null;
+
+            for (let f = first; f <= last; f++) {
+                if (!speech[f]) {
+                    if (pauseStart === null) pauseStart = f;
+                    continue;
+                }
+                if (pauseStart !== null && f - pauseStart > maxPauseFrames) {
+                    ranges.push([rangeStart, pauseStart * frameSize + keep]);
+                    rangeStart = f * frameSize - keep;
+                }
+                pauseStart = null;
+            }
+        }
+
+        ranges.push([rangeStart, Math.min(buffer.length, (last + 1) * frameSize + pad)]);
+
+        const kept = ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+        if (kept >= buffer.length) {
+            return buffer;
+        }
+
+        console.log(`✂️ Removed ${((buffer.length - kept) / buffer.sampleRate).toFixed(1)}s of silence`);
+        return this.joinRanges(buffer, ranges);
+    }
+
+    /**
+     * Flag each frame whose RMS (loudest channel) is above a threshold
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @param {number} thresholdDb - Level in dBFS separating speech from silence
+     * @param {number} frameSize - Frame length in samples
+     * @returns {Array<boolean>} - true for frames containing speech
+     */
+    detectSpeech(buffer, thresholdDb, frameSize) {
+        const threshold = dbToGain(thresholdDb);
+        const frameCount = Math.ceil(buffer.length / frameSize);
+        const speech = new Array(frameCount).fill(false);
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let f = 0; f < frameCount; f++) {
+                if (speech[f]) continue;
+
+                const start = f * frameSize;
+                const end = Math.min(start + frameSize, data.length);
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    sum += data[i] * data[i];
+                }
+                speech[f] = Math.sqrt(sum / (end - start)) > threshold;
+            }
+        }
+
+        return speech;
+    }
+
+    /**
+     * Concatenate sample ranges of a buffer, with short fades at each join
+     * @param {AudioBuffer} buffer - The source buffer
+     * @param {Array<Array<number>>} ranges - Sorted [start, end) sample ranges to keep
+     * @returns {AudioBuffer} - A new buffer containing only those ranges
+     */
+    joinRanges(buffer, ranges) {
+        const length = ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+        const output = this.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+        const fade = Math.round(JOIN_FADE_SECONDS * buffer.sampleRate);
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const source = buffer.getChannelData(c);
+            const target = output.getChannelData(c);
+            let pos = 0;
+
+            ranges.forEach(([start, end], r) => {
+                const size = end - start;
+                const fadeSize = Math.min(fade, size >> 1);
+                target.set(source.subarray(start, end), pos);
+
+                for (let i = 0; i < fadeSize; i++) {
+                    const ramp = i / fadeSize;
+                    if (r > 0) target[pos + i] *= ramp;
+                    if (r < ranges.length - 1) target[pos + size - 1 - i] *= ramp;
+                }
+
+                pos += size;
+            });
+        }
+
+        return output;
+    }
+
+    /**
+     * Apply trim edits to an audio blob without touching the original
+     * @param {Blob} audioBlob - The original audio
+     * @param {Object} edits - { start, end, cuts: [[start, end], ...] } in seconds
+     * @returns {Promise<Blob>} - WAV blob containing only the kept audio
+     * @throws {Error} - If the edits keep less than CONFIG.TAKES.MIN_DURATION
+     */
+    async applyEdits(audioBlob, edits) {
+        const buffer = await this.decodeAudio(audioBlob);
+        if (this.getKeptDuration(buffer.duration, edits) < CONFIG.TAKES.MIN_DURATION) {
+            throw new Error(`Edits must keep at least ${CONFIG.TAKES.MIN_DURATION} seconds of audio`);
+        }
+
+        return this.audioBufferToWav(this.applyEditsToBuffer(buffer, edits));
+    }
+
+    /**
+     * Keep the trimmed region of a buffer, minus any cut segments
+     * @param {AudioBuffer} buffer - The source buffer
+     * @param {Object} edits - { start, end, cuts } in seconds
+     * @returns {AudioBuffer} - The edited buffer
+     */
+    applyEditsToBuffer(buffer, edits) {
+        const ranges = this.getKeptRanges(buffer.duration, edits)
+            .map(([start, end]) => [Math.round(start * buffer.sampleRate), Math.round(end * buffer.sampleRate)])
+            .map(([start, end]) => [start, Math.min(end, buffer.length)])
+            .filter(([start, end]) => end > start);
+
+        return this.joinRanges(buffer, ranges);
+    }
+
+    /**
+     * Seconds of audio left after a set of edits
+     * @param {number} duration - Duration of the original audio in seconds
+     * @param {Object} edits - { start, end, cuts } in seconds
+     * @returns {number}
+     */
+    getKeptDuration(duration, edits) {
+        return this.getKeptRanges(duration, edits).reduce((sum, [start, end]) => sum + end - start, 0);
+    }
+
+    /**
+     * Time ranges that survive a set of edits
+     * @param {number} duration - Duration of the original audio in seconds
+     * @param {Object} edits - { start, end, cuts } in seconds
+     * @returns {Array<Array<number>>} - Sorted [start, end] ranges in seconds
+     */
+    getKeptRanges(duration, { start = 0, end = duration, cuts = [] } = {}) {
+        const ranges = [];
+        let position = Math.max(0, start);
+        const stop = Math.min(duration, end);
+
+        [...cuts]
+            .sort((a, b) => a[0] - b[0])
+            .forEach(([cutStart, cutEnd]) => {
+                if (cutEnd <= position || cutStart >= stop) return;
+                if (cutStart > position) ranges.push([position, cutStart]);
+                position = Math.max(position, cutEnd);
+            });
+
+        if (stop > position) ranges.push([position, stop]);
+        return ranges;
+    }
+
+    /**
+     * Create an empty AudioBuffer
+     * @param {number} channels - Channel count
+     * @param {number} length - Length in samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {AudioBuffer} - The new buffer
+     */
+    createBuffer(channels, length, sampleRate) {
+        return new AudioBuffer({
+            numberOfChannels: channels,
+            length: Math.max(1, length),
+            sampleRate
+        });
+    }
+
+    /**
+     * Peak amplitude per bucket, for drawing waveforms
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @param {number} count - Number of buckets
+     * @returns {Float32Array} - Peak absolute amplitude of each bucket
+     */
+    computePeaks(buffer, count) {
+        const peaks = new Float32Array(count);
+        const bucketSize = buffer.length / count;
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                const bucket = Math.min(count - 1, Math.floor(i / bucketSize));
+                const value = Math.abs(data[i]);
+                if (value > peaks[bucket]) peaks[bucket] = value;
+            }
+        }
+
+        return peaks;
+    }
+
+    /**
+     * Summarize the levels of a take so bad recordings can be flagged
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @returns {Object} - { peak, clippedRatio, loudness }
+     */
+    analyzeLevels(buffer) {
+        const clipThreshold = CONFIG.RECORDING.LEVELS.CLIP_THRESHOLD;
+        let peak = 0;
+        let clipped = 0;
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+                if (value >= clipThreshold) clipped++;
+            }
+        }
+
+        return {
+            peak,
+            clippedRatio: clipped / (buffer.length * buffer.numberOfChannels),
+            loudness: this.measureLoudness(buffer)
+        };
+    }
+
+    /**
+     * Measure integrated loudness per ITU-R BS.1770 (K-weighted, gated)
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @returns {number} - Loudness in LUFS, or -Infinity for silence
+     */
+    measureLoudness(buffer) {
+        const [shelf, highpass] = kWeightingCoefficients(buffer.sampleRate);
+        const stepSize = Math.round(LOUDNESS_STEP_SECONDS * buffer.sampleRate);
+        const stepCount = Math.ceil(buffer.length / stepSize);
+
+        // K-weighted energy per 100 ms step, summed over channels; each
+        // overlapping 400 ms block is then the sum of four consecutive steps
+        const stepEnergy = new Float64Array(stepCount);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            const stage1 = createBiquad(shelf);
+            const stage2 = createBiquad(highpass);
+            for (let i = 0; i < data.length; i++) {
+                const weighted = stage2(stage1(data[i]));
+                stepEnergy[Math.floor(i / stepSize)] += weighted * weighted;
+            }
+        }
+
+        const blocks = [];
+        for (let k = 0; k + LOUDNESS_STEPS_PER_BLOCK <= stepCount; k++) {
+            let sum = 0;
+            for (let j = k; j < k + LOUDNESS_STEPS_PER_BLOCK; j++) {
+                sum += stepEnergy[j];
+            }
+            blocks.push(sum / (stepSize * LOUDNESS_STEPS_PER_BLOCK));
+        }
+
+        // Recordings shorter than one block are measured as a single block
+        if (blocks.length === 0 && buffer.length > 0) {
+            blocks.push(stepEnergy.reduce((sum, e) => sum + e, 0) / buffer.length);
+        }
+
+        const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+        const gatedMean = (threshold) => {
+            const kept = blocks.filter(z => toLufs(z) > threshold);
+            return kept.length ? kept.reduce((sum, z) => sum + z, 0) / kept.length : 0;
+        };
+
+        const absoluteGated = gatedMean(LOUDNESS_ABSOLUTE_GATE);
+        if (absoluteGated === 0) return -Infinity;
+
+        const relativeGated = gatedMean(toLufs(absoluteGated) + LOUDNESS_RELATIVE_GATE);
+        return relativeGated === 0 ? -Infinity : toLufs(relativeGated);
+    }
+
+    /**
+     * Scale an AudioBuffer in place to reach a target integrated loudness
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @param {number} targetLufs - The loudness target
+     * @returns {number} - The applied gain in dB
+     */
+    normalizeLoudness(buffer, targetLufs) {
+        const loudness = this.measureLoudness(buffer);
+        if (!isFinite(loudness)) {
+            console.warn('⚠️ Recording is silent, skipping loudness normalization');
+            return 0;
+        }
+
+        const gainDb = Math.min(targetLufs - loudness, CONFIG.RECORDING.PROCESSING.MAX_GAIN_DB);
+        const gain = dbToGain(gainDb);
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= gain;
+            }
+        }
+
+        console.log(`🔊 Loudness ${loudness.toFixed(1)} LUFS, applied ${gainDb.toFixed(1)} dB gain`);
+        return gainDb;
+    }
+
+    /**
+     * Look-ahead peak limiter applied in place, linked across channels
+     * @param {AudioBuffer} buffer - The audio buffer
+     * @param {number} ceilingDb - The sample peak ceiling in dBFS
+     */
+    limitPeaks(buffer, ceilingDb) {
+        const ceiling = dbToGain(ceilingDb);
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(buffer.getChannelData(c));
+        }
+
+        // Gain a single sample needs to stay under the ceiling
+        const requiredGain = (i) => {
+            let gain = 1;
+            for (const data of channels) {
+                const peak = Math.abs(data[i]);
+                if (peak * gain > ceiling) gain = ceiling / peak;
+            }
+            return gain;
+        };
+
+        // Sliding-window minimum over the next `lookahead` samples, kept in a
+        // ring-buffer deque so reduction starts before each peak arrives
+        const lookahead = Math.max(1, Math.round(LIMITER_LOOKAHEAD_SECONDS * buffer.sampleRate));
+        const release = Math.exp(-1 / (LIMITER_RELEASE_SECONDS * buffer.sampleRate));
+        const size = lookahead + 2;
+        const dequeIndex = new Int32Array(size);
+        const dequeGain = new Float32Array(size);
+        let head = 0;
+        let tail = 0;
+        let gain = 1;
+        let limited = 0;
+
+        for (let j = 0; j < buffer.length + lookahead; j++) {
+            if (j < buffer.length) {
+                const required = requiredGain(j);
+                while (tail > head && dequeGain[(tail - 1) % size] >= required) tail--;
+                dequeIndex[tail % size] = j;
+                dequeGain[tail % size] = required;
+                tail++;
+            }
+
+            const i = j - lookahead;
+            if (i < 0) continue;
+            while (dequeIndex[head % size] < i) head++;
+
+            // Instant attack, exponential release
+            const target = dequeGain[head % size];
+            gain = target < gain ? target : target - (target - gain) * release;
+            if (gain > 0.9999) gain = 1;
+
+            if (gain < 1) {
+                limited++;
+                for (const data of channels) {
+                    data[i] *= gain;
+                }
+            }
+        }
+
+        if (limited > 0) {
+            console.log(`🎚️ Peak limiter engaged on ${limited} samples`);
+        }
+    }
+
+    /**
+     * Convert audio blob to MP3 format using the lamejs encoder
+     * @param {Blob} audioBlob - The audio blob to convert
+     * @param {Object} options - Encoder options
+     * @param {number} options.bitrate - Bitrate in kbps (defaults to CONFIG.RECORDING.MP3_BITRATE)
+     * @param {number} options.channels - 1 for mono, 2 for stereo (defaults to CONFIG.RECORDING.MP3_CHANNELS)
+     * @returns {Promise<Blob>} - The converted MP3 blob
+     */
+    async convertToMP3(audioBlob, options = {}) {
+        const audioBuffer = await this.decodeAudio(audioBlob);
+        return this.audioBufferToMp3(audioBuffer, options);
+    }
+
     /**
      * Convert audio blob to WAV format using Web Audio API
      * @param {Blob} audioBlob - The audio blob to convert
      * @returns {Promise<Blob>} - The converted WAV blob
      */
     async convertToWAV(audioBlob) {
-        // Create an audio context
+        const audioBuffer = await this.decodeAudio(audioBlob);
+        return this.audioBufferToWav(audioBuffer);
+    }
+
+    /**
+     * Decode an audio blob into an AudioBuffer
+     * @param {Blob} audioBlob - The audio blob to decode
+     * @returns {Promise<AudioBuffer>} - The decoded audio
+     */
+    async decodeAudio(audioBlob) {
         const audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-        // Read the blob as array buffer
-        const arrayBuffer = await audioBlob.arrayBuffer();
+        try {
+            const arrayBuffer = await audioBlob.arrayBuffer();
+            return await audioContext.decodeAudioData(arrayBuffer);
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    /**
+     * Validate an uploaded audio file and decode it to make sure it is usable
+     * @param {File} file - The uploaded file
+     * @returns {Promise<Object>} - { blob, duration } where blob carries a usable MIME type
+     */
+    async loadAudioFile(file) {
+        const { SUPPORTED_FORMATS, SUPPORTED_EXTENSIONS, MAX_FILE_SIZE } = CONFIG.AUDIO_UPLOAD;
+        const extension = file.name.split('.').pop().toLowerCase();
 
-        // Decode the audio data
-        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+        if (!SUPPORTED_FORMATS.includes(file.type) && !SUPPORTED_EXTENSIONS[extension]) {
+            throw new Error('Unsupported file format. Please use WAV, MP3, M4A or OGG.');
+        }
+
+        if (file.size > MAX_FILE_SIZE) {
+            throw new Error(`File size exceeds ${MAX_FILE_SIZE / (1024 * 1024)}MB limit.`);
+        }
+
+        let buffer;
+        try {
+            buffer = await this.decodeAudio(file);
+        } catch (error) {
+            console.error('Error decoding uploaded audio:', error);
+            throw new Error('Could not read this audio file. It may be damaged or use an unsupported codec.');
+        }
 
-        // Convert to WAV
-        const wavBlob = this.audioBufferToWav(audioBuffer);
+        const maxSeconds = CONFIG.RECORDING.MAX_DURATION / 1000;
+        if (buffer.duration > maxSeconds) {
+            throw new Error(`Audio is ${Math.ceil(buffer.duration)}s long. The maximum is ${maxSeconds / 60} minutes.`);
+        }
+
+        if (buffer.duration < 0.5) {
+            throw new Error('Audio file is too short.');
+        }
+
+        const type = SUPPORTED_FORMATS.includes(file.type) ? file.type : SUPPORTED_EXTENSIONS[extension];
+        return {
+            blob: new Blob([file], { type }),
+            duration: buffer.duration
+        };
+    }
+
+    /**
+     * Load the lamejs MP3 encoder on first use
+     * @returns {Promise<Object>} - The global lamejs namespace
+     */
+    loadMP3Encoder() {
+        if (window.lamejs) {
+            return Promise.resolve(window.lamejs);
+        }
+
+        if (!this.encoderPromise) {
+            this.encoderPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = CONFIG.RECORDING.MP3_ENCODER_URL;
+                // The browser refuses to run the encoder if the CDN serves anything else
+                script.integrity = CONFIG.RECORDING.MP3_ENCODER_INTEGRITY;
+                script.crossOrigin = 'anonymous';
+                script.async = true;
+                script.onload = () => resolve(window.lamejs);
+                script.onerror = () => {
+                    this.encoderPromise = null;
+                    script.remove();
+                    reject(new Error('Failed to load MP3 encoder'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return this.encoderPromise;
+    }
 
-        return wavBlob;
+    /**
+     * Convert AudioBuffer to MP3 blob
+     * @param {AudioBuffer} buffer - The audio buffer to convert
+     * @param {Object} options - Encoder options (see convertToMP3)
+     * @returns {Promise<Blob>} - The MP3 blob
+     */
+    async audioBufferToMp3(buffer, options = {}) {
+        const bitrate = options.bitrate || CONFIG.RECORDING.MP3_BITRATE;
+        const channels = Math.min(options.channels || CONFIG.RECORDING.MP3_CHANNELS, 2);
+
+        const lamejs = await this.loadMP3Encoder();
+        const encoder = new lamejs.Mp3Encoder(channels, buffer.sampleRate, bitrate);
+
+        // Mono output is a downmix of every input channel; stereo output
+        // duplicates the first channel when the input is mono
+        const left = channels === 1
+            ? this.floatTo16BitPCM(this.mixToMono(buffer))
+            : this.floatTo16BitPCM(buffer.getChannelData(0));
+        const right = channels === 2
+            ? this.floatTo16BitPCM(buffer.getChannelData(Math.min(1, buffer.numberOfChannels - 1)))
+            : null;
+
+        const mp3Data = [];
+        let frames = 0;
+
+        for (let i = 0; i < left.length; i += MP3_FRAME_SIZE) {
+            const leftChunk = left.subarray(i, i + MP3_FRAME_SIZE);
+            const encoded = right
+                ? encoder.encodeBuffer(leftChunk, right.subarray(i, i + MP3_FRAME_SIZE))
+                : encoder.encodeBuffer(leftChunk);
+
+            if (encoded.length > 0) {
+                mp3Data.push(new Uint8Array(encoded));
+            }
+
+            // Keep the page responsive while encoding long recordings
+            if (++frames % MP3_FRAMES_PER_YIELD === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        const tail = encoder.flush();
+        if (tail.length > 0) {
+            mp3Data.push(new Uint8Array(tail));
+        }
+
+        return new Blob(mp3Data, { type: 'audio/mpeg' });
+    }
+
+    /**
+     * Average all channels of an AudioBuffer into a single channel
+     * @param {AudioBuffer} buffer - The audio buffer to mix
+     * @returns {Float32Array} - The mono samples
+     */
+    mixToMono(buffer) {
+        if (buffer.numberOfChannels === 1) {
+            return buffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(buffer.length);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / buffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Convert float samples in [-1, 1] to 16-bit PCM
+     * @param {Float32Array} samples - The float samples
+     * @returns {Int16Array} - The PCM samples
+     */
+    floatTo16BitPCM(samples) {
+        const pcm = new Int16Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+        return pcm;
     }
 
     /**
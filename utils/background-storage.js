@@ -0,0 +1,82 @@
+// IndexedDB wrapper for uploaded background images and videos
+import CONFIG from '../config.js';
+
+class BackgroundStorage {
+    constructor() {
+        this.db = null;
+    }
+
+    async initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.BACKGROUND.DB_NAME, CONFIG.BACKGROUND.DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(CONFIG.BACKGROUND.STORE_NAME)) {
+                    const objectStore = db.createObjectStore(CONFIG.BACKGROUND.STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+            };
+        });
+    }
+
+    /**
+     * @param {Object} background - { name, type: 'image' | 'video', blob, heygenId }
+     * @returns {Promise<number>} - The new background's ID
+     */
+    async saveBackground(background) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.BACKGROUND.STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(CONFIG.BACKGROUND.STORE_NAME);
+            const request = objectStore.add({
+                ...background,
+                createdAt: background.createdAt || new Date().toISOString()
+            });
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getBackgrounds() {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.BACKGROUND.STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(CONFIG.BACKGROUND.STORE_NAME);
+            const request = objectStore.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteBackground(id) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.BACKGROUND.STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(CONFIG.BACKGROUND.STORE_NAME);
+            const request = objectStore.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export singleton instance
+const backgroundStorage = new BackgroundStorage();
+export default backgroundStorage;
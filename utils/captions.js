@@ -0,0 +1,140 @@
+// Caption Utility
+// Builds SRT and WebVTT captions from AssemblyAI word timestamps
+import CONFIG from '../config.js';
+
+class CaptionBuilder {
+    /**
+     * Re-time words after the transcript text was edited. With the same number of
+     * words each keeps its timing; otherwise the edited words are spread over the
+     * original time span in proportion to their length.
+     * @param {Array<Object>} words - AssemblyAI words ({ text, start, end } in ms)
+     * @param {string} text - The edited transcript
+     * @returns {Array<Object>} - Words for the edited text
+     */
+    alignWords(words, text) {
+        const editedWords = text.split(/\s+/).filter(Boolean);
+        if (!words?.length || !editedWords.length) return [];
+
+        if (editedWords.length === words.length) {
+            return words.map((word, i) => ({ ...word, text: editedWords[i] }));
+        }
+
+        const start = words[0].start;
+        const span = words[words.length - 1].end - start;
+        const totalLength = editedWords.reduce((sum, word) => sum + word.length, 0);
+
+        let position = 0;
+        return editedWords.map(word => {
+            const wordStart = start + span * position / totalLength;
+            position += word.length;
+            return { text: word, start: Math.round(wordStart), end: Math.round(start + span * position / totalLength) };
+        });
+    }
+
+    /**
+     * Group words into caption cues
+     * @param {Array<Object>} words - Words with { text, start, end } in ms
+     * @param {Object} options - { scale } multiplies all timings (e.g. to fit a video of a different length)
+     * @returns {Array<Object>} - Cues with { start, end, lines }
+     */
+    buildCues(words, { scale = 1 } = {}) {
+        const { MAX_LINE_LENGTH, MAX_LINES, MIN_DURATION, MAX_DURATION, MAX_WORD_GAP } = CONFIG.CAPTIONS;
+        const cues = [];
+        let cue = null;
+
+        const finish = () => {
+            if (cue) cues.push(cue);
+            cue = null;
+        };
+
+        for (const word of words) {
+            const start = Math.round(word.start * scale);
+            const end = Math.round(word.end * scale);
+
+            if (cue) {
+                const line = cue.lines[cue.lines.length - 1];
+                const fitsLine = line.length + 1 + word.text.length <= MAX_LINE_LENGTH;
+                const fitsCue = fitsLine || cue.lines.length < MAX_LINES;
+
+                if (!fitsCue || end - cue.start > MAX_DURATION || start - cue.end > MAX_WORD_GAP) {
+                    finish();
+                } else {
+                    if (fitsLine) {
+                        cue.lines[cue.lines.length - 1] = `${line} ${word.text}`;
+                    } else {
+                        cue.lines.push(word.text);
+                    }
+                    cue.end = end;
+
+                    // Break after the end of a sentence once the cue is reasonably full
+                    if (/[.!?]$/.test(word.text) && cue.end - cue.start >= MIN_DURATION) finish();
+                    continue;
+                }
+            }
+
+            cue = { start, end, lines: [word.text] };
+        }
+        finish();
+
+        // Keep short cues on screen long enough to read, without overlapping the next one
+        cues.forEach((current, i) => {
+            const next = cues[i + 1];
+            const minEnd = current.start + MIN_DURATION;
+            if (current.end < minEnd) {
+                current.end = next ? Math.min(minEnd, next.start) : minEnd;
+            }
+        });
+
+        return cues;
+    }
+
+    /**
+     * @param {number} ms - Time in milliseconds
+     * @param {string} separator - ',' for SRT, '.' for WebVTT
+     * @returns {string} - hh:mm:ss,mmm
+     */
+    formatTimestamp(ms, separator) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(ms / 3600000);
+        const minutes = Math.floor(ms / 60000) % 60;
+        const seconds = Math.floor(ms / 1000) % 60;
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+    }
+
+    toSRT(cues) {
+        return cues.map((cue, i) => [
+            i + 1,
+            `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`,
+            ...cue.lines
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    toVTT(cues) {
+        return 'WEBVTT\n\n' + cues.map(cue => [
+            `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}`,
+            ...cue.lines
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Captions for a history entry. Preset voices speak at their own pace, so
+     * the recording's timings are stretched to the length of the video.
+     * @param {Object} video - Video history entry
+     * @returns {Array<Object>|null} - Cues, or null when the video has no word timings
+     */
+    getVideoCues(video) {
+        if (!video?.words?.length) return null;
+
+        const lastWordEnd = video.words[video.words.length - 1].end;
+        const scale = video.voiceType === 'preset' && video.duration && lastWordEnd
+            ? (video.duration * 1000) / lastWordEnd
+            : 1;
+
+        return this.buildCues(video.words, { scale });
+    }
+}
+
+// Export singleton instance
+const captions = new CaptionBuilder();
+export default captions;
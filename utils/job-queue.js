@@ -0,0 +1,173 @@
+// Job Queue
+// Runs submitted jobs in the background with limited concurrency, tracking
+// each job's status and the state of its stages for display
+import { isAbortError } from './abort.js';
+
+class JobQueue {
+    /**
+     * @param {Object} options
+     * @param {Function} options.run - async (job, context) => result, where context is
+     *   { signal, startStage(name), skipStage(name), setProgress(message) }
+     * @param {number} options.concurrency - How many jobs may run at once
+     */
+    constructor({ run, concurrency = 1 }) {
+        this.run = run;
+        this.concurrency = concurrency;
+        this.jobs = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Queue a job
+     * @param {Object} options - { label, stages, data }
+     * @param {string} options.label - Name shown in the jobs panel
+     * @param {Array<string>} options.stages - Stage names, in the order they run
+     * @param {Object} options.data - Anything the run function needs
+     * @returns {Object} - The job
+     */
+    add({ label, stages = [], data = {} }) {
+        const job = {
+            id: this.nextId++,
+            label,
+            data,
+            status: 'queued', // queued, running, completed, failed or cancelled
+            stages: stages.map(name => ({ name, state: 'pending' })), // pending, active, done, skipped, failed or cancelled
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            startedAt: null, // Still null for jobs cancelled before they started
+            controller: new AbortController()
+        };
+
+        this.jobs.push(job);
+        this.onJobUpdated(job);
+        this.pump();
+        return job;
+    }
+
+    getJob(id) {
+        return this.jobs.find(job => job.id === id);
+    }
+
+    getJobs() {
+        return [...this.jobs];
+    }
+
+    getRunningCount() {
+        return this.jobs.filter(job => job.status === 'running').length;
+    }
+
+    isFinished(job) {
+        return ['completed', 'failed', 'cancelled'].includes(job.status);
+    }
+
+    /**
+     * Cancel a job. Queued jobs never start; running jobs have their signal aborted.
+     */
+    cancel(id) {
+        const job = this.getJob(id);
+        if (!job || this.isFinished(job)) return;
+
+        if (job.status === 'queued') {
+            this.finish(job, 'cancelled');
+            this.pump();
+        } else {
+            job.progress = 'Cancelling...';
+            this.onJobUpdated(job);
+        }
+        job.controller.abort();
+    }
+
+    // Remove a finished job from the list
+    remove(id) {
+        const job = this.getJob(id);
+        if (!job || !this.isFinished(job)) return;
+
+        this.jobs = this.jobs.filter(other => other !== job);
+        this.onJobUpdated(job);
+    }
+
+    clearFinished() {
+        const finished = this.jobs.filter(job => this.isFinished(job));
+        this.jobs = this.jobs.filter(job => !this.isFinished(job));
+        finished.forEach(job => this.onJobUpdated(job));
+    }
+
+    setConcurrency(concurrency) {
+        this.concurrency = concurrency;
+        this.pump();
+    }
+
+    // Start queued jobs while there are free slots, oldest first
+    pump() {
+        while (this.getRunningCount() < this.concurrency) {
+            const job = this.jobs.find(other => other.status === 'queued');
+            if (!job) return;
+            this.start(job);
+        }
+    }
+
+    async start(job) {
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this.onJobUpdated(job);
+
+        const setStage = (name, state) => {
+            const stage = job.stages.find(other => other.name === name);
+            if (stage) stage.state = state;
+        };
+
+        const context = {
+            signal: job.controller.signal,
+            startStage: (name) => {
+                // The previous stage is done once the next one starts
+                job.stages.forEach(stage => {
+                    if (stage.state === 'active') stage.state = 'done';
+                });
+                setStage(name, 'active');
+                job.progress = null;
+                this.onJobUpdated(job);
+            },
+            skipStage: (name) => {
+                setStage(name, 'skipped');
+                this.onJobUpdated(job);
+            },
+            setProgress: (message) => {
+                job.progress = message;
+                this.onJobUpdated(job);
+            }
+        };
+
+        try {
+            job.result = await this.run(job, context);
+            this.finish(job, 'completed');
+        } catch (error) {
+            if (isAbortError(error)) {
+                this.finish(job, 'cancelled');
+            } else {
+                job.error = error;
+                this.finish(job, 'failed');
+            }
+        }
+
+        this.pump();
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.progress = null;
+        job.stages.forEach(stage => {
+            if (stage.state === 'active') stage.state = status === 'completed' ? 'done' : status;
+        });
+
+        this.onJobUpdated(job);
+        this.onJobFinished(job);
+    }
+
+    // Callbacks to be overridden
+    onJobUpdated(job) { }
+    onJobFinished(job) { }
+}
+
+export default JobQueue;
@@ -0,0 +1,51 @@
+// User Preferences
+// Small per-user settings persisted in localStorage
+
+const STORAGE_KEY = 'voiceVideoPreferences';
+
+class Preferences {
+    constructor() {
+        this.values = this.load();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not read saved preferences:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get a saved preference
+     * @param {string} key - The preference name
+     * @param {*} fallback - Returned when nothing is saved
+     */
+    get(key, fallback = null) {
+        return key in this.values ? this.values[key] : fallback;
+    }
+
+    /**
+     * Save a preference (null or undefined removes it)
+     * @param {string} key - The preference name
+     * @param {*} value - Any JSON-serializable value
+     */
+    set(key, value) {
+        if (value === null || value === undefined) {
+            delete this.values[key];
+        } else {
+            this.values[key] = value;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Could not save preferences:', error);
+        }
+    }
+}
+
+// Export singleton instance
+const preferences = new Preferences();
+export default preferences;
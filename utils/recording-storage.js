@@ -0,0 +1,135 @@
+// IndexedDB wrapper for in-progress recordings, so they survive a crash or reload
+import CONFIG from '../config.js';
+
+const SESSIONS_STORE = 'sessions';
+const CHUNKS_STORE = 'chunks';
+
+class RecordingStorage {
+    constructor() {
+        this.db = null;
+    }
+
+    async initDB() {
+        const { DB_NAME, DB_VERSION } = CONFIG.RECORDING.RECOVERY;
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+                    db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+                    const objectStore = db.createObjectStore(CHUNKS_STORE, { keyPath: ['sessionId', 'index'] });
+                    objectStore.createIndex('sessionId', 'sessionId', { unique: false });
+                }
+            };
+        });
+    }
+
+    /**
+     * Register a recording that has just started
+     * @param {Object} session - { id, mimeType, startedAt }
+     */
+    async startSession(session) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SESSIONS_STORE], 'readwrite');
+            const request = transaction.objectStore(SESSIONS_STORE).put(session);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Append a MediaRecorder chunk to a session
+     * @param {string} sessionId - The recording session
+     * @param {number} index - Position of the chunk in the recording
+     * @param {Blob} data - The chunk
+     */
+    async saveChunk(sessionId, index, data) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CHUNKS_STORE], 'readwrite');
+            const request = transaction.objectStore(CHUNKS_STORE).put({ sessionId, index, data });
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Sessions that were never finished, with their chunks joined into one blob
+     * @returns {Promise<Array<{session: Object, blob: Blob}>>}
+     */
+    async getUnfinishedSessions() {
+        if (!this.db) await this.initDB();
+
+        const sessions = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SESSIONS_STORE], 'readonly');
+            const request = transaction.objectStore(SESSIONS_STORE).getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const recovered = [];
+        for (const session of sessions) {
+            const chunks = await this.getChunks(session.id);
+            recovered.push({
+                session,
+                blob: chunks.length ? new Blob(chunks, { type: session.mimeType }) : null
+            });
+        }
+        return recovered;
+    }
+
+    async getChunks(sessionId) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CHUNKS_STORE], 'readonly');
+            const index = transaction.objectStore(CHUNKS_STORE).index('sessionId');
+            const request = index.getAll(sessionId);
+
+            request.onsuccess = () => {
+                const chunks = request.result.sort((a, b) => a.index - b.index);
+                resolve(chunks.map(chunk => chunk.data));
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Remove a session and its chunks once it has been finished or recovered
+     */
+    async deleteSession(sessionId) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([SESSIONS_STORE, CHUNKS_STORE], 'readwrite');
+            transaction.objectStore(SESSIONS_STORE).delete(sessionId);
+            transaction.objectStore(CHUNKS_STORE)
+                .delete(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Export singleton instance
+const recordingStorage = new RecordingStorage();
+export default recordingStorage;
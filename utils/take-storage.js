@@ -0,0 +1,94 @@
+// IndexedDB wrapper for recorded takes
+import CONFIG from '../config.js';
+
+class TakeStorage {
+    constructor() {
+        this.db = null;
+    }
+
+    async initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.TAKES.DB_NAME, CONFIG.TAKES.DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(CONFIG.TAKES.STORE_NAME)) {
+                    const objectStore = db.createObjectStore(CONFIG.TAKES.STORE_NAME, { keyPath: 'id' });
+                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+            };
+        });
+    }
+
+    /**
+     * Insert or update a take
+     * @param {Object} take - The take, including its audio blob
+     */
+    async saveTake(take) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.TAKES.STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(CONFIG.TAKES.STORE_NAME);
+            const request = objectStore.put(take);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getTakes() {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.TAKES.STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(CONFIG.TAKES.STORE_NAME);
+            const request = objectStore.getAll();
+
+            request.onsuccess = () => {
+                const takes = request.result.sort((a, b) =>
+                    new Date(a.createdAt) - new Date(b.createdAt)
+                );
+                resolve(takes);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteTake(id) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.TAKES.STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(CONFIG.TAKES.STORE_NAME);
+            const request = objectStore.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async clearTakes() {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.TAKES.STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(CONFIG.TAKES.STORE_NAME);
+            const request = objectStore.clear();
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export singleton instance
+const takeStorage = new TakeStorage();
+export default takeStorage;
@@ -66,7 +66,20 @@ class VideoHistoryManager {
                 avatarName: videoData.avatarName || null,
                 voiceType: videoData.voiceType || null,
                 voiceName: videoData.voiceName || null,
+                // { speed, pitch, emotion } of a tuned preset voice, and the profile they came from
+                voiceSettings: videoData.voiceSettings || null,
+                voiceProfileName: videoData.voiceProfileName || null,
                 transcript: videoData.transcript || null,
+                // AssemblyAI's transcript before any corrections made in step 4
+                originalTranscript: videoData.originalTranscript || null,
+                // Word timestamps ({ text, start, end } in ms) for captions
+                words: videoData.words || [],
+                // { aspectRatio, width, height } of the rendered video
+                outputFormat: videoData.outputFormat || null,
+                // Description of the background, e.g. 'Color #ffffff'
+                backgroundName: videoData.backgroundName || null,
+                // { avatarName, voiceName, voiceSettings, backgroundName, transcript } per scene of a storyboard video
+                scenes: videoData.scenes || null,
                 duration: videoData.duration || null,
                 thumbnailUrl: videoData.thumbnailUrl || null
             };
@@ -153,6 +166,28 @@ class VideoHistoryManager {
         });
     }
 
+    /**
+     * Get videos with a given status
+     * @param {string} status - e.g. 'processing'
+     * @returns {Promise<Array>} - Array of video objects
+     */
+    async getVideosByStatus(status) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const objectStore = transaction.objectStore(this.storeName);
+            const index = objectStore.index('status');
+            const request = index.getAll(status);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
     /**
      * Get a single video by HeyGen video ID
      * @param {string} videoId - The HeyGen video ID
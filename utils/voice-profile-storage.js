@@ -0,0 +1,82 @@
+// IndexedDB wrapper for saved voice tuning profiles
+import CONFIG from '../config.js';
+
+class VoiceProfileStorage {
+    constructor() {
+        this.db = null;
+    }
+
+    async initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.VOICE_TUNING.DB_NAME, CONFIG.VOICE_TUNING.DB_VERSION);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains(CONFIG.VOICE_TUNING.STORE_NAME)) {
+                    const objectStore = db.createObjectStore(CONFIG.VOICE_TUNING.STORE_NAME, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    objectStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+            };
+        });
+    }
+
+    /**
+     * @param {Object} profile - { name, speed, pitch, emotion }
+     * @returns {Promise<number>} - The new profile's ID
+     */
+    async saveProfile(profile) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.VOICE_TUNING.STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(CONFIG.VOICE_TUNING.STORE_NAME);
+            const request = objectStore.add({
+                ...profile,
+                createdAt: profile.createdAt || new Date().toISOString()
+            });
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getProfiles() {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.VOICE_TUNING.STORE_NAME], 'readonly');
+            const objectStore = transaction.objectStore(CONFIG.VOICE_TUNING.STORE_NAME);
+            const request = objectStore.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteProfile(id) {
+        if (!this.db) await this.initDB();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CONFIG.VOICE_TUNING.STORE_NAME], 'readwrite');
+            const objectStore = transaction.objectStore(CONFIG.VOICE_TUNING.STORE_NAME);
+            const request = objectStore.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export singleton instance
+const voiceProfileStorage = new VoiceProfileStorage();
+export default voiceProfileStorage;